@@ -1,4 +1,4 @@
-/*! Firebase.getAsArray - v0.1.0 - 2014-04-21
-* Copyright (c) 2014 Kato
+/*! Firebase.getAsArray - v0.1.0 - 2026-10-19
+* Copyright (c) 2026 Kato
 * MIT LICENSE */
-!function(a){function b(a,b){this.list=[],this.subs=[],this.ref=a,this.eventCallback=b,this._wrapList(),this._initListeners()}function c(a,b){if(d(a)&&d(b)){var c;for(c in a)"$id"!==c&&a.hasOwnProperty(c)&&!b.hasOwnProperty(c)&&delete a[c];for(c in b)b.hasOwnProperty(c)&&(a[c]=b[c]);return a}return b}function d(a){return"object"==typeof a&&null!==a}function e(a,b){for(var c=0,d=a.length;d>c;c++)if(a[c].$id===b)return c;return-1}function f(a){return a&&"object"==typeof a&&(delete a.$id,a.hasOwnProperty(".value")&&(a=a[".value"])),void 0===a&&(a=null),a}function g(a,b){return"object"==typeof b&&b||(b={".value":b}),b.$id=a,b}a.getAsArray=function(a,c){return new b(a,c).getList()},b.prototype={getList:function(){return this.list},add:function(a){var b=this.ref.push().name(),c=this.ref.child(b);return arguments.length>0&&c.set(f(a),this._handleErrors.bind(this,b)),c},set:function(a,b){this.ref.child(a).set(f(b),this._handleErrors.bind(this,a))},update:function(a,b){this.ref.child(a).update(f(b),this._handleErrors.bind(this,a))},setPriority:function(a,b){this.ref.child(a).setPriority(b)},remove:function(a){this.ref.child(a).remove(this._handleErrors.bind(null,a))},posByKey:function(a){return e(this.list,a)},placeRecord:function(a,b){if(null===b)return 0;var c=this.posByKey(b);return-1===c?this.list.length:c+1},getRecord:function(a){var b=this.posByKey(a);return-1===b?null:this.list[b]},dispose:function(){var a=this.ref;this.subs.forEach(function(b){a.off(b[0],b[1])}),this.subs=[]},_serverAdd:function(a,b){var c=g(a.name(),a.val());this._moveTo(a.name(),c,b),this._handleEvent("child_added",a.name(),c)},_serverRemove:function(a){var b=this.posByKey(a.name());-1!==b&&(this.list.splice(b,1),this._handleEvent("child_removed",a.name(),this.list[b]))},_serverChange:function(a){var b=this.posByKey(a.name());-1!==b&&(this.list[b]=c(this.list[b],g(a.name(),a.val())),this._handleEvent("child_changed",a.name(),this.list[b]))},_serverMove:function(a,b){var c=a.name(),d=this.posByKey(c);if(-1!==d){var e=this.list[d];this.list.splice(d,1),this._moveTo(c,e,b),this._handleEvent("child_moved",a.name(),e)}},_moveTo:function(a,b,c){var d=this.placeRecord(a,c);this.list.splice(d,0,b)},_handleErrors:function(a,b){b&&(this._handleEvent("error",null,a),console.error(b))},_handleEvent:function(a,b,c){this.eventCallback&&this.eventCallback(a,b,c)},_wrapList:function(){this.list.$indexOf=this.posByKey.bind(this),this.list.$add=this.add.bind(this),this.list.$remove=this.remove.bind(this),this.list.$set=this.set.bind(this),this.list.$update=this.update.bind(this),this.list.$move=this.setPriority.bind(this),this.list.$rawData=function(a){return f(this.getRecord(a))}.bind(this),this.list.$off=this.dispose.bind(this)},_initListeners:function(){this._monit("child_added",this._serverAdd),this._monit("child_removed",this._serverRemove),this._monit("child_changed",this._serverChange),this._monit("child_moved",this._serverMove)},_monit:function(a,b){this.subs.push([a,this.ref.on(a,b.bind(this))])}}}("undefined"==typeof window?exports:window.Firebase);
\ No newline at end of file
+!function(a){function b(a,b,c){this.opts=c||{},this.adapter=p(a,this.opts),this.list=[],this.subs=[],this.derived=[],this.keyIndex=Object.create(null),this.indexes=this.opts.indexes?k(this.opts.indexes):null,this.indexed=Object.create(null),this.duplicates=Object.create(null),this.searchIndexes={},this.query=a,this.origin=a,this.ref=this.adapter.refOf(a),this.window={},this.pageSize=null,this.stale=null,this.comparator=this.opts.sortBy?B(this.opts.sortBy):null,this.factory=this.opts.recordFactory||null,this.immutable=!!this.opts.immutable,this.snapshot=null,this.batchWindow=!0===this.opts.batch?0:"number"==typeof this.opts.batch?this.opts.batch:null,this.batch=null,this.batchTimer=null,this.storage=this.opts.storage||null,this.storageKey=this.opts.storageKey||String(this.ref),this.saveTimer=null,this.persistWrites=!(!this.storage||!this.opts.persistWrites),this.queue=[],this.optimistic=!!this.opts.optimistic,this.versionField=this.opts.versionField||null,this.versions=Object.create(null),this.serializeRules=n({},T,this.opts.serialize),this.validateIncoming=!(!this.opts.schema||!this.opts.validateIncoming),this.invalid=Object.create(null),this.historySize=!0===this.opts.history?U:"number"==typeof this.opts.history?this.opts.history:0,this.undoStack=[],this.redoStack=[],this.historyStep=null,this.replaying=!1,this.written=Object.create(null),this.pending=Object.create(null),this.confirmed=Object.create(null),this.removedAt=Object.create(null),this.events=new q(Q),b&&this.events.on("change",b),this.isLoaded=!1,this.loadedDef=z(),this.loadError=null,this._wrapList(),this.storage&&this._rehydrate(),this._initListeners()}function c(a,b,c){this.source=a,this.fn=b,this.isMap=c,this.list=[],this.keys=[],this.keyIndex=Object.create(null),this.derived=[],this.searchIndexes={},this.events=new q(Q),this.handlers={child_added:this._sourceAdd.bind(this),child_removed:this._sourceRemove.bind(this),child_changed:this._sourceChange.bind(this),child_moved:this._sourceMove.bind(this),loaded:this._sourceLoaded.bind(this)};for(var d in this.handlers)a.events.subscribe(d,this.handlers[d]);for(var e=0,f=a.list.length;e<f;e++)this._sourceAdd(a.keyAt(e),a.list[e]);this._wrapList()}function d(a,b,d){var e=new c(a,b,d);return a.derived.push(e),e.list}function e(a,b){Object.keys(b).forEach(function(a){if(-1===R.indexOf(a))throw new Error("Invalid aggregate "+a+"; must be one of: "+R.join(", "))}),this.source=a,this.spec=b,this.values=Object.create(null),this.totals={},this.result={},this.events=new q([]),this.handlers={child_added:this._sourceAdd.bind(this),child_removed:this._sourceRemove.bind(this),child_changed:this._sourceChange.bind(this)};for(var c in b)this.totals[c]={n:0,sum:0,extreme:null,stale:!1};for(var d in this.handlers)a.events.subscribe(d,this.handlers[d]);for(var e=0,f=a.list.length;e<f;e++)this._include(a.keyAt(e),a.list[e]);this._refresh(),this.result.$on=this.on.bind(this),this.result.$off=this.off.bind(this)}function f(a,b){this.source=a,this.field=b,this.map=Object.create(Object.create(null,{$on:{value:this.on.bind(this)},$off:{value:this.off.bind(this)}})),this.keys=Object.create(null),this.groupOf=Object.create(null),this.events=new q([]),this.handlers={child_added:this._sourceAdd.bind(this),child_removed:this._sourceRemove.bind(this),child_changed:this._sourceChange.bind(this),child_moved:this._sourceMove.bind(this)};for(var c in this.handlers)a.events.subscribe(c,this.handlers[c]);for(var d=0,e=a.list.length;d<e;d++)this._insert(a.keyAt(d),a.list[d])}function g(a,b,c){this.source=a,this.id=b,this.fields=c,this.postings=Object.create(null),this.words=[],this.wordsOf=Object.create(null),this.size=0,this.derived=[],this.events=new q([]),this.handlers={child_added:this._sourceAdd.bind(this),child_removed:this._sourceRemove.bind(this),child_changed:this._sourceChange.bind(this),child_moved:this._sourceMove.bind(this)};for(var d in this.handlers)a.events.subscribe(d,this.handlers[d]);for(var e=0,f=a.list.length;e<f;e++)this._include(a.keyAt(e),a.list[e])}function h(a,b){this.source=a,this.query=b,this.list=a.search(b),this.events=new q([]),this.handlers={change:this._refresh.bind(this)},a.events.subscribe("change",this.handlers.change),a.derived.push(this),this.list.$on=this.on.bind(this),this.list.$off=this.off.bind(this)}function i(a){return String(a).toLowerCase().split(W).filter(Boolean)}function j(a,b){for(var c,d=0,e=a.length;d<e;)c=Math.floor((d+e)/2),a[c]<b?d=c+1:e=c;return d}function k(a){return a.reduce(function(a,b){return a["string"==typeof b?b:b.field]={unique:!!b.unique,values:Object.create(null)},a},{})}function l(a){var b=typeof a;return"string"===b||"number"===b||"boolean"===b?b+":"+a:null}function m(a,b,c){return"function"==typeof b?b(a,c):G(a)?a[b]:void 0}function n(a){for(var b=1;b<arguments.length;b++)for(var c in arguments[b])arguments[b].hasOwnProperty(c)&&(a[c]=arguments[b][c]);return a}function o(a){function b(a,b){a.then(function(){b(null)},b)}var c={child_added:a.onChildAdded,child_removed:a.onChildRemoved,child_changed:a.onChildChanged,child_moved:a.onChildMoved,value:a.onValue};return n({},S.namespaced,{priority:function(a){return a.priority},child:function(b,c){return a.child(b,c)},push:function(b){return a.push(b)},set:function(c,d,e){b(a.set(c,d),e)},update:function(c,d,e){b(a.update(c,d),e)},setPriority:function(c,d,e){b(a.setPriority(c,d),e)},remove:function(c,d){b(a.remove(c),d)},transaction:function(b,c,d){a.runTransaction(b,c).then(function(a){d(null,a.committed,a.snapshot)},d)},on:function(a,b,d,e){return c[b](a,d,e)},off:function(a,b,c){c()},limit:function(b,c){return a.query(b,a.limitToLast(c))},startAt:function(b,c,d){return a.query(b,a.startAt(c,d))},endAt:function(b,c,d){return a.query(b,a.endAt(c,d))}})}function p(a,b){var c=b.adapter;if("modular"===c||!c&&b.sdk){if(!b.sdk)throw new Error("The modular SDK requires the `sdk` option, e.g. getAsArray(ref, {sdk: firebaseDatabase})");return o(b.sdk)}if("string"==typeof c){if(!S.hasOwnProperty(c))throw new Error("Invalid adapter "+c+"; must be one of: legacy, namespaced, modular");return S[c]}if(c)return c;if("function"!=typeof a.on)throw new Error("The modular SDK requires the `sdk` option, e.g. getAsArray(ref, {sdk: firebaseDatabase})");return"function"==typeof a.name||"function"==typeof S.legacy.refOf(a).name?S.legacy:S.namespaced}function q(a){this.types=a,this.listeners={},this.subscribers={}}function r(a){n(this,a)}function s(a,b){this.name="ValidationError",this.errors=a,this.value=b,this.message=a.map(function(a){return(a.path||"record")+" "+a.message}).join("; "),this.stack=new Error(this.message).stack}function t(a,b,c,d){function e(a,b){d.push({path:a,message:b})}function f(a){return c?c+"/"+a:String(a)}var g=void 0===a.type?null:[].concat(a.type);if(g&&!g.some(function(a){return u(b,a)}))return e(c,"must be of type "+g.join(" or ")),d;if(a.enum&&!a.enum.some(function(a){return F(a,b)})&&e(c,"must be one of: "+a.enum.map(function(a){return JSON.stringify(a)}).join(", ")),"number"==typeof b&&(void 0!==a.minimum&&b<a.minimum&&e(c,"must be at least "+a.minimum),void 0!==a.maximum&&b>a.maximum&&e(c,"must be at most "+a.maximum)),"string"==typeof b&&(void 0!==a.minLength&&b.length<a.minLength&&e(c,"must have at least "+a.minLength+" characters"),void 0!==a.maxLength&&b.length>a.maxLength&&e(c,"must have at most "+a.maxLength+" characters"),void 0===a.pattern||new RegExp(a.pattern).test(b)||e(c,"must match "+a.pattern)),Array.isArray(b)&&a.items)b.forEach(function(b,c){t(a.items,b,f(c),d)});else if(G(b)&&!Array.isArray(b)){var h=a.properties||{};(a.required||[]).forEach(function(a){void 0!==b[a]&&null!==b[a]||e(f(a),"is required")}),Object.keys(b).forEach(function(c){h.hasOwnProperty(c)?null!==b[c]&&t(h[c],b[c],f(c),d):!1===a.additionalProperties?e(f(c),"is not allowed"):G(a.additionalProperties)&&t(a.additionalProperties,b[c],f(c),d)})}return d}function u(a,b){return"null"===b?null===a:"array"===b?Array.isArray(a):"object"===b?G(a)&&!Array.isArray(a):"integer"===b?"number"==typeof a&&a%1==0:typeof a===b}function v(a,b){if(G(a)&&G(b)){var c;for(c in a)"$"!==c.charAt(0)&&a.hasOwnProperty(c)&&!b.hasOwnProperty(c)&&delete a[c];for(c in b)b.hasOwnProperty(c)&&(a[c]=b[c]);return a}return b}function w(a){var b=z();return b.reject(a),b.promise}function x(a){return Object.keys(a).reduce(function(b,c){return null!==a[c]&&(b[c]=a[c]),b},{})}function y(a){var b=z(),c=a.filter(function(a){return a}),d=c.length;return c.forEach(function(a){a.then(function(){0==--d&&b.resolve()},b.reject)}),0===d&&b.resolve(),b.promise}function z(){var a={};return"function"==typeof Promise?a.promise=new Promise(function(b,c){a.resolve=b,a.reject=c}):(a.promise=new A,a.resolve=a.promise._resolve.bind(a.promise),a.reject=a.promise._settle.bind(a.promise,"rejected")),a}function A(){this.state="pending",this.value=void 0,this.handlers=[],this.locked=!1}function B(a){var b="function"==typeof a?a:function(b,c){return C(b[a],c[a])};return function(a,c){return b(a,c)||C(a.$id,c.$id)}}function C(a,b){var c=D(a),d=D(b);return c!==d?c-d:4===c||a===b?0:a<b?-1:1}function D(a){return null===a||void 0===a?0:{boolean:1,number:2,string:3}[typeof a]||4}function E(a){return void 0===a?a:JSON.parse(JSON.stringify(a))}function F(a,b){if(G(a)&&G(b)){var c=Object.keys(a),d=Object.keys(b);return c.length===d.length&&c.every(function(c){return b.hasOwnProperty(c)&&F(a[c],b[c])})}return a===b}function G(a){return"object"==typeof a&&null!==a}function H(a,b){var c,d=a?a.$priority:null,e=b?b.$priority:void 0;return"string"==typeof d||null===e?null:"number"!=typeof e?null===d?V:d+V:null===d?e-V:(c=d+(e-d)/2,d<c&&c<e?c:null)}function I(a,b,c){var d=[],e=J(a,"",b||T,d,[],c);if(d.length)throw new s(d,a);return G(e)&&!Array.isArray(e)&&e.hasOwnProperty(".value")&&(e=e[".value"]),void 0===e?null:e}function J(a,b,c,d,e,f){function g(a){d.push({path:b,message:a})}function h(a){return b?b+"/"+a:String(a)}{if(!(a instanceof Date)){if("number"==typeof a&&!isFinite(a))return"null"===c.nan?null:void g("is not a finite number");if(void 0===a||"function"==typeof a)return"null"===c.undefined?null:void("error"===c.undefined&&g(void 0===a?"is undefined":"is a function"));if(!G(a))return a;if("function"==typeof a.toJSON){var i=a.toJSON();return i===a?i:J(i,b,c,d,e)}return-1!==e.indexOf(a)?void g("is a circular reference"):(e=e.concat([a]),Array.isArray(a)?a.map(function(a,b){var f=J(a,h(b),c,d,e);return void 0===f?null:f}):Object.keys(a).reduce(function(b,g){if("$"===g.charAt(0))return b;var i=f?g.split("/").some(K):K(g);if(".value"!==g&&".priority"!==g&&i)return d.push({path:h(g),message:"is not a valid key"}),b;var j=J(a[g],h(g),c,d,e);return void 0!==j&&(b[g]=j),b},{}))}if(isNaN(a.getTime()))g("is an invalid date");else{if("iso"===c.date)return a.toISOString();if("error"!==c.date)return a.getTime();g("is a Date")}}}function K(a){return X.test(a)}function L(a,b){var c=n({},G(a)?a:{});return Object.keys(b).forEach(function(a){var d=a.split("/"),e=d.pop(),f=c;d.forEach(function(a){f=f[a]=n({},G(f[a])?f[a]:{})}),d.length&&null===b[a]?delete f[e]:f[e]=b[a]}),c}function M(a,b){return G(a)?a[b]:void 0}function N(a,b,c){return"object"==typeof b&&b||(b={".value":b}),b.hasOwnProperty(".priority")?(b.$priority=b[".priority"],delete b[".priority"]):void 0!==c&&(b.$priority=c),b.$id=a,b}function O(a,b){if(null===b||void 0===b||null===a||void 0===a)return a;var c=G(a)?n({},a):{".value":a};return c[".priority"]=b,c}function P(a){if(!G(a)||!a.hasOwnProperty(".priority"))return[a,void 0];var b=n({},a),c=b[".priority"];return delete b[".priority"],[b.hasOwnProperty(".value")?b[".value"]:b,c]}a.getAsArray=function(a,c,d){return G(c)&&(d=c,c=null),new b(a,c,d).getList()},a.getAsArray.$extend=function(b){var c=function(a){r.call(this,a)};return c.prototype=n(Object.create(r.prototype),b,{constructor:c}),function(b,d,e){return G(d)&&(e=d,d=null),a.getAsArray(b,d,n({},e,{recordFactory:c}))}},a.getAsArray.storage={local:function(a){return a=a||window.localStorage,{load:function(b){var c=a.getItem(b);return c?JSON.parse(c):null},save:function(b,c){a.setItem(b,JSON.stringify(c))}}},indexedDB:function(a,b){function c(){if(!d){var c=z(),e=b.open(a||"firebase-as-array",1);e.onupgradeneeded=function(){e.result.createObjectStore("arrays")},e.onsuccess=function(){c.resolve(e.result)},e.onerror=function(){c.reject(e.error)},d=c.promise}return d}var d=null;return b=b||window.indexedDB,{load:function(a){return c().then(function(b){var c=z(),d=b.transaction("arrays").objectStore("arrays").get(a);return d.onsuccess=function(){c.resolve(d.result||null)},d.onerror=function(){c.reject(d.error)},c.promise})},save:function(a,b){return c().then(function(c){var d=z(),e=c.transaction("arrays","readwrite");return e.objectStore("arrays").put(b,a),e.oncomplete=function(){d.resolve()},e.onerror=function(){d.reject(e.error)},d.promise})}}},file:function(a){function b(b){return d.join(a,encodeURIComponent(b)+".json")}var c=require("fs"),d=require("path");return{load:function(a){try{return JSON.parse(c.readFileSync(b(a),"utf8"))}catch(a){if("ENOENT"===a.code)return null;throw a}},save:function(a,d){c.writeFileSync(b(a),JSON.stringify(d))}}}};var Q=["child_added","child_removed","child_changed","child_moved","loaded","error","batch","conflict","invalid","duplicate"];b.prototype={getList:function(){return this.list},add:function(a,b){var c=this.adapter,d=c.push(this.ref);if(arguments.length>0)return this.set(c.key(d),a,b);var e=z();return e.resolve(c.child(this.ref,c.key(d))),e.promise},set:function(a,b,c){var d,e,f,g=this.adapter,h=P(b);try{d=this._serialize(h[0])}catch(a){return w(a)}return(e=this._validate(d))?w(e):(void 0===c&&(c=void 0!==h[1]?h[1]:(this.getRecord(a)||{}).$priority),f=this._record(a,this._stateOf(d,c)),d=O(d,c),this.versionField?this._versionedWrite({key:a,type:"set",data:d,forget:f},d):this._write({key:a,type:"set",data:d,forget:f},function(a,b){g.set(b,d,a)},d))},update:function(a,b){var c,d=this.adapter,e=I(this.getRecord(a));try{c=this._serialize(b,!0)}catch(a){return w(a)}var f=G(c)?L(e,c):void 0,g=f&&this._validate(f);if(g)return w(g);var h=(this.getRecord(a)||{}).$priority,i=this._record(a,this._stateOf(f&&x(f),h));return this.versionField&&f?this._versionedWrite({key:a,type:"update",data:c,forget:i},f):this._write({key:a,type:"update",data:c,forget:i},function(a,b){d.update(b,c,a)},f)},setPriority:function(a,b){var c=this.adapter,d=this._record(a,this._stateOf(this._historyState(a).value,b));return this._write({key:a,type:"setPriority",data:b,forget:d},function(a,d){c.setPriority(d,b,a)})},moveTo:function(a,b){var c,d;return this.comparator?w(new Error("Records sorted with the sortBy option cannot be moved")):-1===this.posByKey(a)?w(new Error("Cannot move "+a+", it is not in the list")):(c=this.list.filter(function(b){return b.$id!==a}),b=Math.max(0,Math.min(b,c.length)),d=H(c[b-1],c[b]),null===d?this._rebalance(a,c,b):this.setPriority(a,d))},moveBefore:function(a,b){return this._moveNextTo(a,b,0)},moveAfter:function(a,b){return this._moveNextTo(a,b,1)},remove:function(a){var b=this.adapter,c=this._record(a,this._stateOf(null));return this._write({key:a,type:"remove",data:null,forget:c},function(a,c){b.remove(c,a)},-1===this.posByKey(a)?void 0:null)},commit:function(a){function b(a){h.forEach(function(b){b(a)})}var c,d,e=this,f={},g={},h=[];try{c=a.map(function(a){if(g[a.key])throw new Error("Cannot write "+a.key+" more than once in a batch");return g[a.key]=!0,e._prepareOp(a,f)})}catch(a){return w(a)}if(d=this.group(function(){return c.map(function(a){return a.write.forget=e._record(a.write.key,a.after),e._write(a.write,function(a){h.push(a)},a.local)})}),c.length)try{this.adapter.update(this.ref,f,b)}catch(a){b(a)}return y(d).then(function(){return{keys:c.map(function(a){return a.write.key})}})},batchWrites:function(a){var b=[],c={};return["set","update","remove","move"].forEach(function(a){c[a]=function(d,e){return b.push({op:a,key:d,value:e}),c}}),a(c),this.commit(b)},undo:function(){return this._applyStep(this.undoStack,this.redoStack,"before","after")},redo:function(){return this._applyStep(this.redoStack,this.undoStack,"after","before")},canUndo:function(){return this.undoStack.length>0},canRedo:function(){return this.redoStack.length>0},group:function(a){if(this.historyStep)return a();this.historyStep=[];try{return a()}finally{var b=this.historyStep;this.historyStep=null,b.length&&this._pushStep(this.undoStack,b)}},pendingWrites:function(){return this.queue.map(function(a){return{key:a.key,type:a.type,data:E(a.data)}})},transaction:function(a,b){var c=this,d=this.adapter,e=z();return d.transaction(d.child(this.ref,a),function(d){var e=b(c._createRecord(a,E(d)));return void 0===e?void 0:c._serialize(e)},function(b,d,f){b?(c._handleErrors(a,b),e.reject(b)):e.resolve({committed:d,snapshot:f})}),e.promise},posByKey:function(a){return a in this.keyIndex?this.keyIndex[a]:-1},placeRecord:function(a,b){if(null===b)return 0;var c=this.posByKey(b);return-1===c?this.list.length:c+1},getRecord:function(a){var b=this.posByKey(a);return-1===b?null:this.list[b]},findBy:function(a,b){var c,d=this,e=this.indexes&&this.indexes[a];return e?(c=e.values[l(b)]||[],c.map(function(a){return d.posByKey(a)}).sort(function(a,b){return a-b}).map(function(a){return d.list[a]})):this.list.filter(function(c){return c[a]===b})},findOneBy:function(a,b){return this.findBy(a,b)[0]||null},loaded:function(a){var b=this.loadedDef.promise;return a&&(b=b.then(a)),b},on:function(a,b,c){return this.events.on(a,b,c)},off:function(a,b){0===arguments.length?this.dispose():this.events.off(a,b)},setWindow:function(a){var b=this.adapter,c=this.origin;try{void 0!==a.start&&(c=b.startAt.apply(null,[c].concat(a.start))),void 0!==a.end&&(c=b.endAt.apply(null,[c].concat(a.end))),a.limit&&(c=b.limit(c,a.limit))}catch(a){return w(a)}return this.window={start:a.start,end:a.end,limit:a.limit},null===this.pageSize&&a.limit&&(this.pageSize=a.limit),this._retarget(c),this.loaded()},loadMore:function(a){var b=this.window,c=b.limit||this.list.length;return this.setWindow({start:b.start,end:b.end,limit:c+(a||this.pageSize||c)})},filter:function(a){return d(this,a,!1)},map:function(a){return d(this,a,!0)},aggregate:function(a){var b=new e(this,a);return this.derived.push(b),b.result},groupBy:function(a){var b=new f(this,a);return this.derived.push(b),b.map},search:function(a,b){var c=b&&b.fields||null,d=c?c.join("\n"):"",e=this.searchIndexes[d];return e||(e=this.searchIndexes[d]=new g(this,d,c),this.derived.push(e)),b&&b.live?new h(e,a).list:e.search(a)},keyAt:function(a){return this.list[a].$id},getSnapshot:function(){return this.immutable?(this.snapshot||(this.snapshot=Object.freeze(this.list.slice())),this.snapshot):this.list.slice()},dispose:function(){var a=this.adapter,b=this.query;this.subs.forEach(function(c){a.off(b,c[0],c[1])}),this.subs=[],this.events.off(),clearTimeout(this.batchTimer),this.batch=null,this.saveTimer&&this._save(),this.derived.slice().forEach(function(a){a.dispose()})},_serverAdd:function(a,b){var c=this.adapter.key(a);if(!this.validateIncoming||this._checkIncoming(c,a.val()))if(this.stale&&delete this.stale[c],this._confirm(c,a.val(),this._priorityOf(a)),-1!==this.posByKey(c))this._serverReplace(c,N(c,a.val(),this._priorityOf(a)),b);else{var d=this._createRecord(c,a.val(),this._priorityOf(a));this.pending[c]&&(d.$pending=!0),this._moveTo(c,d,b),this._handleEvent("child_added",c,d)}},_serverReplace:function(a,b,c){var d=this.posByKey(a),e=this.list[d],f=!F(I(e),I(b))||e.$priority!==b.$priority;if(f&&(e=this._updateRecord(d,b)),this.comparator)return f&&this._handleEvent("child_changed",a,e),void this._resort(a);var g=this.placeRecord(a,c);g!==d&&g!==d+1&&(this._removeAt(d),this._insertAt(g>d?g-1:g,e)),f&&this._handleEvent("child_changed",a,e),this.posByKey(a)!==d&&this._handleEvent("child_moved",a,e)},_serverRemove:function(a){var b=this.adapter.key(a),c=this.posByKey(b);if(delete this.invalid[b],delete this.duplicates[b],this._confirm(b,null),-1!==c){var d=this._removeAt(c);this._handleEvent("child_removed",b,d)}},_serverChange:function(a,b){var c=this.adapter.key(a),d=this.posByKey(c),e=N(c,a.val(),this._priorityOf(a));if(this.validateIncoming){var f=this.invalid[c];if(!this._checkIncoming(c,a.val()))return;if(f&&-1===d)return void this._serverAdd(a,b)}this._confirm(c,a.val(),this._priorityOf(a)),-1===d||this.pending[c]&&this.list[d].$priority===e.$priority&&F(I(this.list[d]),I(e))||(this._handleEvent("child_changed",c,this._updateRecord(d,e)),this._resort(c))},_priorityOf:function(a){var b="function"==typeof this.adapter.priority?this.adapter.priority(a):null;return void 0===b?null:b},_checkIncoming:function(a,b){var c=this._validate(I(b));return c?(this.invalid[a]=!0,this._handleEvent("invalid",a,c),!1):(delete this.invalid[a],!0)},_moveNextTo:function(a,b,c){var d=this.posByKey(a),e=this.posByKey(b);return-1===e?w(new Error("Cannot move "+a+" next to "+b+", it is not in the list")):this.moveTo(a,e+c-(-1!==d&&d<e?1:0))},_rebalance:function(a,b,c){var d=this,e=b.slice();return e.splice(c,0,this.getRecord(a)),this.group(function(){return y(e.map(function(a,b){var c=(b+1)*V;return a.$priority===c?null:d.setPriority(a.$id,c)}))}).then(function(){return d.adapter.child(d.ref,a)})},_prepareOp:function(a,b){var c,d,e,f,g,h=a.key,i=this.getRecord(h),j=I(i);if(this.versionField&&("set"===a.op||"update"===a.op))throw new Error("Cannot "+a.op+" "+h+" in a batch, since the versionField option is set");if("set"===a.op){if(f=P(a.value),c=this._serialize(f[0]),e=this._validate(c))throw e;return g=void 0!==f[1]?f[1]:(i||{}).$priority,b[h]=O(c,g),{write:{key:h,type:"set",data:b[h]},local:b[h],after:this._stateOf(c,g)}}if("update"===a.op){if(c=this._serialize(a.value,!0),!G(c))throw new Error("The value for updating "+h+" must be an object");if(d=L(j,c),e=this._validate(d))throw e;return Object.keys(c).forEach(function(a){b[h+"/"+a]=c[a]}),{write:{key:h,type:"update",data:c},local:d,after:this._stateOf(x(d),(i||{}).$priority)}}if("remove"===a.op)return b[h]=null,{write:{key:h,type:"remove",data:null},local:i?null:void 0,after:this._stateOf(null)};if("move"===a.op)return b[h+"/.priority"]=a.value,{write:{key:h,type:"setPriority",data:a.value},local:void 0,after:this._stateOf(this._historyState(h).value,a.value)};throw new Error("Invalid operation "+a.op+"; must be one of: set, update, remove, move")},_record:function(a,b){if(this.historySize){var c,d,e=this,f=this._historyState(a),g=this.written[a],h=this.historyStep||[];if(this.written[a]=b,!this.replaying)return c=h.filter(function(b){return b.key===a})[0],c?(d=c.after,c.after=b):(c={key:a,before:f,after:b},h.push(c)),this.historyStep||this._pushStep(this.undoStack,h),this.redoStack=[],function(){if(e.written[a]===b&&(e.written[a]=g),void 0!==d)return void(c.after=d);h.splice(h.indexOf(c),1),[e.undoStack,e.redoStack].forEach(function(a){var b=a.indexOf(h);h.length||-1===b||a.splice(b,1)})}}},_pushStep:function(a,b){a.push(b),a.length>this.historySize&&a.shift()},_applyStep:function(a,b,c,d){var e,f=this,g=a.pop(),h=[],i=[];if(!g)return y([]).then(function(){return{skipped:h}});this.replaying=!0;try{e=g.map(function(a){return F(f._historyState(a.key),a[d])?(i.push(a),f._restoreState(a.key,a[c])):(h.push(a.key),null)})}finally{this.replaying=!1}return i.length&&this._pushStep(b,i),y(e).then(function(){return{skipped:h}})},_restoreState:function(a,b){return null===b.value?this.remove(a):F(this._historyState(a).value,b.value)?this.setPriority(a,b.priority):this.set(a,b.value,b.priority)},_historyState:function(a){if(this.pending[a]&&this.written[a])return this.written[a];var b=this.getRecord(a);return b?this._stateOf(this._serialize(b),b.$priority):this._stateOf(null)},_stateOf:function(a,b){return void 0===a&&(a=null),this.versionField&&G(a)&&a.hasOwnProperty(this.versionField)&&(a=n({},a),delete a[this.versionField]),{value:a,priority:null===a||void 0===b?null:b}},_serialize:function(a,b){return I(a,this.serializeRules,b)},_validate:function(a){var b,c=this.opts.schema;return c?(b="function"==typeof c?c(a):t(c,a,"",[]),!1===b&&(b=[{path:"",message:"is invalid"}]),b&&b.length?new s(b,a):null):null},_serverMove:function(a,b){var c=this.adapter.key(a),d=this.posByKey(c),e=this._priorityOf(a);if(this._confirm(c,a.val(),e),-1!==d&&this.comparator)this._setMeta(c,{$priority:e});else if(-1!==d){var f=this._removeAt(d);this.immutable&&(f=this._copyRecord(f)),f.$priority=e,this._moveTo(c,f,b),this._handleEvent("child_moved",c,f)}},_serverLoaded:function(){this.isLoaded||(this.isLoaded=!0,this._unmonit("value"),this._removeStale(),this._handleEvent("loaded",null,this.list),this.loadedDef.resolve(this.list))},_serverCancel:function(a){this.subs.length&&(this.subs=[],this.loadError=a,this.isLoaded||(this.loadedDef.promise.then(null,function(){}),this.loadedDef.reject(a)),this._handleErrors(null,a))},_retarget:function(a){var b=this;this.subs.forEach(function(a){b.adapter.off(b.query,a[0],a[1])}),this.subs=[],this.query=a,this.stale=Object.create(null),this.list.forEach(function(a){b.stale[a.$id]=!0}),(this.isLoaded||this.loadError)&&(this.loadedDef=z()),this.isLoaded=!1,this.loadError=null,this._initListeners()},_removeStale:function(){var a=this.stale;this.stale=null;for(var b in a){var c=this.posByKey(b);-1!==c&&this._handleEvent("child_removed",b,this._removeAt(c))}},_rehydrate:function(){function a(a){try{c._restore(a)}catch(a){c._handleErrors(null,a)}}var b,c=this;try{b=this.storage.load(this.storageKey)}catch(a){return void this._handleErrors(null,a)}b&&"function"==typeof b.then?b.then(a,function(a){c._handleErrors(null,a)}):a(b)},_restore:function(a){if(a){var b=this,c=null;this.isLoaded||(this.stale=this.stale||Object.create(null),a.records.forEach(function(a){if(-1===b.posByKey(a.key)){var d=b._createRecord(a.key,a.value,a.priority);b.stale[a.key]=!0,b._moveTo(a.key,d,c),b._handleEvent("child_added",a.key,d)}c=a.key})),this.persistWrites&&a.writes&&this._replay(a.writes)}},_scheduleSave:function(){this.saveTimer||(this.saveTimer=setTimeout(this._save.bind(this),0))},_save:function(){var a,b=this,c={};clearTimeout(this.saveTimer),this.saveTimer=null,c.records=this.list.map(function(a){var b=void 0===a.$priority?null:a.$priority;return{key:a.$id,value:I(a),priority:b}}),this.persistWrites&&(c.writes=this.pendingWrites());try{a=this.storage.save(this.storageKey,c)}catch(a){return void this._handleErrors(null,a)}a&&"function"==typeof a.then&&a.then(null,function(a){b._handleErrors(null,a)})},_replay:function(a){var b=this;a.forEach(function(a){b[a.type](a.key,a.data).then(null,function(){})})},_moveTo:function(a,b,c){var d=this.comparator?this._sortedPos(b):this.placeRecord(a,c);this._insertAt(d,b)},_sortedPos:function(a){for(var b=0,c=this.list.length;b<c;){var d=Math.floor((b+c)/2);this.comparator(this.list[d],a)>0?c=d:b=d+1}return b},_resort:function(a){var b=this.posByKey(a),c=this.list,d=this.comparator;if(d&&(b>0&&d(c[b-1],c[b])>0||b<c.length-1&&d(c[b],c[b+1])>0)){var e=this._removeAt(b);this._moveTo(a,e),this.posByKey(a)!==b&&this._handleEvent("child_moved",a,e)}},_createRecord:function(a,b,c){var d=N(a,b,c);return this.factory?new this.factory(d):d},_updateRecord:function(a,b){var c=this.list[a];return this._unindexRecord(c.$id),this.immutable?c=this.list[a]=this._copyRecord(c,b):"function"==typeof c.$updated?c.$updated(b):c=this.list[a]=v(c,b),this._indexRecord(c),c},_indexRecord:function(a){var b,c,d,e,f,g,h,i,j=a.$id;if(this.indexes){b=this.indexed[j]={},c=this.duplicates[j]||{},d=this.duplicates[j]={};for(e in this.indexes)f=this.indexes[e],null!==(g=l(a[e]))&&(h=f.values[g]=f.values[g]||[],b[e]=g,f.unique&&h.length&&(d[e]=g),f.unique&&h.length&&c[e]!==g&&(i=new Error("The "+e+" of "+j+" is already used by "+h.join(", ")),i.code="unique",i.field=e,i.value=a[e],i.keys=h.slice(),this._handleEvent("error",j,i),this._handleEvent("duplicate",j,i)),h.push(j))}},_unindexRecord:function(a){var b,c,d=this.indexed[a];if(d){delete this.indexed[a];for(b in d)c=this.indexes[b].values[d[b]],c.splice(c.indexOf(a),1),c.length||delete this.indexes[b].values[d[b]]}},_copyRecord:function(a,b){var c=Object.keys(a).reduce(function(c,d){return void 0!==b&&"$"!==d.charAt(0)||(c[d]=a[d]),c},{});return n(c,b),this.factory?new this.factory(c):c},_insertAt:function(a,b){this.list.splice(a,0,b),this._reindex(a),this._indexRecord(b),null!==this.batchWindow&&this._batchSplice(a,null,b)},_removeAt:function(a){var b=this.list.splice(a,1)[0];return delete this.keyIndex[b.$id],this._unindexRecord(b.$id),this._reindex(a),null!==this.batchWindow&&this._batchSplice(a,b,null),b},_reindex:function(a){for(var b=a,c=this.list.length;b<c;b++)this.keyIndex[this.list[b].$id]=b},_write:function(a,b,c){function d(b){e.queue.splice(e.queue.indexOf(a),1),b&&a.forget&&a.forget(),e.persistWrites&&e._scheduleSave(),0==--e.pending[f]&&delete e.pending[f],i&&e._settleLocal(f,b),e._setMeta(f,{$pending:!!e.pending[f]||void 0,$error:b||void 0})}var e=this,f=a.key,g=this.adapter.child(this.ref,f),h=z(),i=this.optimistic&&void 0!==c;this.queue.push(a),this.persistWrites&&this._scheduleSave(),this.pending[f]=(this.pending[f]||0)+1,i?this._writeLocal(f,c):this._setMeta(f,{$pending:!0});try{b(function(a){d(a),a?(e._handleErrors(f,a),h.reject(a)):h.resolve(g)},g)}catch(a){return d(a),w(a)}return h.promise},_versionedWrite:function(a,b){function c(){0==--g.count&&delete d.versions[e]}var d=this,e=a.key,f=I(this.getRecord(e)),g=this.versions[e];return g&&(f=n({},G(f)?f:{}),f[this.versionField]=g.version),g=this.versions[e]=g||{version:void 0,count:0},g.count++,this._write(a,function(a,g){try{d._commitVersion(e,g,b,f,function(b){c(),a(b)})}catch(a){throw c(),a}},b)},_commitVersion:function(a,b,c,d,e){var f=this,g=this.versionField,h=null,i=this._nextVersion(c,d);this.versions[a]&&(this.versions[a].version=M(i,g)),this.adapter.transaction(b,function(a){if(h=a,M(a,g)===M(d,g))return i},function(g,i){g||i?e(g||null):f._conflict(a,b,c,d,h,e)})},_nextVersion:function(a,b){var c=this.versionField,d=M(b,c),e=a;return G(a)&&(e=n({},a),e[c]=this.opts.nextVersion?this.opts.nextVersion(d):(d||0)+1),e},_conflict:function(a,b,c,d,e,f){function g(){if(h.optimistic){var b=h.confirmed[a];null===e?delete h.confirmed[a]:h.confirmed[a]={value:E(e),priority:b?b.priority:null}}}var h=this,i=!1;if(!this.events.has("conflict")){var j=new Error("The record "+a+" was changed on the server since it was loaded");return j.code="conflict",g(),void f(j)}this._handleEvent("conflict",a,{local:E(c),base:E(d),remote:E(e),resolve:function(d,j){if(i)throw new Error("The conflict for "+a+" was already resolved");if("theirs"===d)i=!0,g(),h.optimistic&&h._rollback(a),f(null);else{if("mine"!==d&&"merge"!==d)throw new Error("Invalid choice "+d+"; must be one of: mine, theirs, merge");var k="merge"===d?h._serialize(j):c;i=!0,"merge"===d&&h.optimistic&&h._writeLocal(a,k),h._commitVersion(a,b,k,e,f)}}})},_writeLocal:function(a,b){var c=this.posByKey(a);if(null===b)this.removedAt[a]=c,this._handleEvent("child_removed",a,this._removeAt(c));else if(-1===c){var d=this._createRecord(a,E(b),null);d.$pending=!0,this._moveTo(a,d),this._handleEvent("child_added",a,d)}else{var e=this._updateRecord(c,N(a,E(b)));e.$pending=!0,this._handleEvent("child_changed",a,e),this._resort(a)}},_settleLocal:function(a,b){if(b)this._rollback(a);else if(!this.pending[a]){var c=this.getRecord(a);this._confirm(a,I(c),c?c.$priority:null)}},_setMeta:function(a,b){var c,d=this.posByKey(a),e=this.list[d];if(-1!==d&&!Object.keys(b).every(function(a){return e[a]===b[a]})){this.immutable&&(e=this.list[d]=this._copyRecord(e));for(c in b)void 0===b[c]?delete e[c]:e[c]=b[c];this.immutable&&this._handleEvent("child_changed",a,e)}},_rollback:function(a){var b,c=this.posByKey(a),d=this.confirmed[a];-1===c&&d?(b=this._createRecord(a,E(d.value),d.priority),this.comparator?this._moveTo(a,b):this._insertAt(Math.min(this.removedAt[a],this.list.length),b),this._handleEvent("child_added",a,b)):-1===c||d?-1!==c&&(b=N(a,E(d.value),d.priority),this._handleEvent("child_changed",a,this._updateRecord(c,b)),this._resort(a)):this._handleEvent("child_removed",a,this._removeAt(c)),delete this.removedAt[a]},_confirm:function(a,b,c){this.optimistic&&!this.pending[a]&&(null===b?delete this.confirmed[a]:this.confirmed[a]={value:E(b),priority:c})},_handleErrors:function(a,b){b&&(this._handleEvent("error",null,a),console.error(b))},_handleEvent:function(a,b,c){var d=[b,c],e=0===a.indexOf("child_"),f=e&&null!==this.batchWindow;e&&this.storage&&this._scheduleSave(),this.immutable&&(e&&(this.snapshot=null),(this.events.has(a)||!f&&this.events.has("change"))&&d.push(this.getSnapshot())),f?(this._batchChange(a,b),this.events.trigger(a,d,!0)):(this.batch&&this._flushBatch(),this.events.trigger(a,d))},_openBatch:function(){return this.batch||(this.batch={splices:[],changes:{}},this.batchTimer=setTimeout(this._flushBatch.bind(this),this.batchWindow)),this.batch},_batchSplice:function(a,b,c){var d=this._openBatch().splices,e=d[d.length-1];e&&a===e.index+e.addedCount||(e={index:a,removed:[],added:[],addedCount:0},d.push(e)),b?e.removed.push(b):(e.added.push(c),e.addedCount++)},_batchChange:function(a,b){var c=this._openBatch().changes,d=c[b];"child_added"===d&&"child_removed"===a?delete c[b]:"child_removed"===d&&"child_added"===a?c[b]="child_changed":(!d||"child_removed"===a||"child_moved"===d&&"child_changed"===a)&&(c[b]=a)},_flushBatch:function(){var a=this.batch;clearTimeout(this.batchTimer),this.batch=null,a&&(this.immutable&&(a.snapshot=this.getSnapshot()),this.events.trigger("batch",[a]))},_wrapList:function(){this.list.$indexOf=this.posByKey.bind(this),this.list.$findBy=this.findBy.bind(this),this.list.$findOneBy=this.findOneBy.bind(this),this.list.$add=this.add.bind(this),this.list.$remove=this.remove.bind(this),this.list.$set=this.set.bind(this),this.list.$update=this.update.bind(this),this.list.$move=this.setPriority.bind(this),this.list.$moveTo=this.moveTo.bind(this),this.list.$moveBefore=this.moveBefore.bind(this),this.list.$moveAfter=this.moveAfter.bind(this),this.list.$transaction=this.transaction.bind(this),this.list.$rawData=function(a){var b=this.getRecord(a);return O(this._serialize(b),b&&b.$priority)}.bind(this),this.list.$loaded=this.loaded.bind(this),this.list.$on=this.on.bind(this),this.list.$off=this.off.bind(this),this.list.$setWindow=this.setWindow.bind(this),this.list.$loadMore=this.loadMore.bind(this),this.list.$filter=this.filter.bind(this),this.list.$map=this.map.bind(this),this.list.$aggregate=this.aggregate.bind(this),this.list.$groupBy=this.groupBy.bind(this),this.list.$search=this.search.bind(this),this.list.$snapshot=this.getSnapshot.bind(this),this.list.$pendingWrites=this.pendingWrites.bind(this),this.list.$undo=this.undo.bind(this),this.list.$redo=this.redo.bind(this),this.list.$canUndo=this.canUndo.bind(this),this.list.$canRedo=this.canRedo.bind(this),this.list.$group=this.group.bind(this),this.list.$batch=this.batchWrites.bind(this),this.list.$commit=this.commit.bind(this)},_initListeners:function(){this._monit("child_added",this._serverAdd),this._monit("child_removed",this._serverRemove),this._monit("child_changed",this._serverChange),this._monit("child_moved",this._serverMove),this._monit("value",this._serverLoaded)},_monit:function(a,b){var c=this._serverCancel.bind(this);this.subs.push([a,this.adapter.on(this.query,a,b.bind(this),c)])},_unmonit:function(a){var b=this.adapter,c=this.query;this.subs=this.subs.filter(function(d){return d[0]!==a||(b.off(c,d[0],d[1]),!1)})}},c.prototype={posByKey:b.prototype.posByKey,on:b.prototype.on,off:b.prototype.off,filter:b.prototype.filter,map:b.prototype.map,aggregate:b.prototype.aggregate,groupBy:b.prototype.groupBy,search:b.prototype.search,keyAt:function(a){return this.keys[a]},dispose:function(){var a=this.source,b=a.derived.indexOf(this);for(var c in this.handlers)a.events.unsubscribe(c,this.handlers[c]);-1!==b&&a.derived.splice(b,1),this.events.off(),this.derived.slice().forEach(function(a){a.dispose()})},_sourceAdd:function(a,b){this.isMap?(this._insertAt(this.source.posByKey(a),a,this.fn(b,a)),this.events.trigger("child_added",[a,this.list[this.posByKey(a)]])):this.fn(b,a)&&(this._insertAt(this._placeFor(a),a,b),this.events.trigger("child_added",[a,b]))},_sourceRemove:function(a){var b=this.posByKey(a);-1!==b&&this.events.trigger("child_removed",[a,this._removeAt(b)])},_sourceChange:function(a,b){var c=this.posByKey(a);this.isMap?(this.list[c]=this.fn(b,a),this.events.trigger("child_changed",[a,this.list[c]])):this.fn(b,a)?-1===c?(this._insertAt(this._placeFor(a),a,b),this.events.trigger("child_added",[a,b])):(this.list[c]=b,this.events.trigger("child_changed",[a,b])):-1!==c&&this.events.trigger("child_removed",[a,this._removeAt(c)])},_sourceMove:function(a){var b=this.posByKey(a);if(-1!==b){var c=this._removeAt(b),d=this.source;this.isMap||(c=d.list[d.posByKey(a)]),this._insertAt(this.isMap?d.posByKey(a):this._placeFor(a),a,c),this.posByKey(a)!==b&&this.events.trigger("child_moved",[a,c])}},_sourceLoaded:function(){this.events.trigger("loaded",[null,this.list])},_placeFor:function(a){for(var b=this.source,c=b.posByKey(a),d=0,e=this.keys.length;d<e;){var f=Math.floor((d+e)/2);b.posByKey(this.keys[f])>c?e=f:d=f+1}return d},_insertAt:function(a,b,c){this.list.splice(a,0,c),this.keys.splice(a,0,b),this._reindex(a)},_removeAt:function(a){delete this.keyIndex[this.keys[a]],this.keys.splice(a,1);var b=this.list.splice(a,1)[0];return this._reindex(a),b},_reindex:function(a){for(var b=a,c=this.keys.length;b<c;b++)this.keyIndex[this.keys[b]]=b},_wrapList:function(){this.list.$indexOf=this.posByKey.bind(this),this.list.$on=this.on.bind(this),this.list.$off=this.off.bind(this),this.list.$filter=this.filter.bind(this),this.list.$map=this.map.bind(this),this.list.$aggregate=this.aggregate.bind(this),this.list.$groupBy=this.groupBy.bind(this),this.list.$search=this.search.bind(this)}};var R=["count","sum","avg","min","max"];e.prototype={on:b.prototype.on,off:b.prototype.off,dispose:function(){var a=this.source.derived.indexOf(this);for(var b in this.handlers)this.source.events.unsubscribe(b,this.handlers[b]);-1!==a&&this.source.derived.splice(a,1),this.events.off()},_sourceAdd:function(a,b){this._include(a,b),this._refresh()},_sourceRemove:function(a){this._exclude(a),this._refresh()},_sourceChange:function(a,b){this._exclude(a),this._include(a,b),this._refresh()},_include:function(a,b){var c,d,e,f=this.values[a]={};for(c in this.spec)void 0!==(d=f[c]=this._valueOf(c,b,a))&&(e=this.totals[c],e.n++,e.sum+=d,(null===e.extreme||("min"===c?d<e.extreme:d>e.extreme))&&(e.extreme=d))},_exclude:function(a){var b,c,d=this.values[a];if(d){delete this.values[a];for(b in d)void 0!==d[b]&&(c=this.totals[b],c.n--,c.sum-=d[b],d[b]===c.extreme&&(c.stale=!0))}},_valueOf:function(a,b,c){var d=this.spec[a],e=!0===d?1:m(b,d,c);return"count"===a?null===e||void 0===e?void 0:1:"number"==typeof e&&isFinite(e)?e:void 0},_refresh:function(){var a,b,c,d=[];for(a in this.spec)b=this.totals[a],b.stale&&this._rescan(a),b.n||(b.sum=0,b.extreme=null),c="count"===a?b.n:"sum"===a?b.sum:"avg"===a?b.n?b.sum/b.n:null:b.extreme,this.result[a]!==c&&(this.result[a]=c,d.push(a));d.length&&this.events.trigger("change",[this.result,d],!0)},_rescan:function(a){var b,c,d=this.totals[a],e=this.values;d.extreme=null,d.stale=!1;for(b in e)void 0===(c=e[b][a])||null!==d.extreme&&!("min"===a?c<d.extreme:c>d.extreme)||(d.extreme=c)}},f.prototype={on:b.prototype.on,off:b.prototype.off,dispose:e.prototype.dispose,_sourceAdd:function(a,b){this._changed([this._insert(a,b)])},_sourceRemove:function(a){this._changed([this._delete(a)])},_sourceChange:function(a,b){var c=this.groupOf[a],d=this.map[c],e=this._groupFor(b,a);void 0!==c&&c===e?(d[this.keys[c].indexOf(a)]=b,this._changed([c])):this._changed([this._delete(a),this._insert(a,b)])},_sourceMove:function(a,b){void 0!==this.groupOf[a]&&(this._delete(a),this._changed([this._insert(a,b)]))},_groupFor:function(a,b){var c=m(a,this.field,b);return null===c||void 0===c?void 0:String(c)},_insert:function(a,b){var c,d,e,f,g=this._groupFor(b,a),h=this.source,i=0;if(void 0!==g){for(this.keys[g]||(this.map[g]=[],this.keys[g]=[]),c=this.keys[g],d=h.posByKey(a),e=c.length;i<e;)f=Math.floor((i+e)/2),h.posByKey(c[f])>d?e=f:i=f+1;return this.map[g].splice(i,0,b),c.splice(i,0,a),this.groupOf[a]=g,g}},_delete:function(a){var b,c=this.groupOf[a],d=this.keys[c];if(void 0!==c)return b=d.indexOf(a),this.map[c].splice(b,1),d.splice(b,1),d.length||(delete this.map[c],delete this.keys[c]),delete this.groupOf[a],c},_changed:function(a){a=a.filter(function(b,c){return void 0!==b&&a.indexOf(b)===c}),a.length&&this.events.trigger("change",[this.map,a],!0)}},g.prototype={dispose:function(){e.prototype.dispose.call(this),delete this.source.searchIndexes[this.id],this.derived.slice().forEach(function(a){a.dispose()})},search:function(a){var b=this,c=this.source,d=null;return i(a).forEach(function(a,c,e){if(e.indexOf(a)===c){var f,g=b._match(a);for(f in g)null!==d&&(f in d?g[f]+=d[f]:delete g[f]);d=g}}),Object.keys(d||{}).sort(function(a,b){return d[b]-d[a]||c.posByKey(a)-c.posByKey(b)}).map(function(a){return c.list[c.posByKey(a)]})},_match:function(a){for(var b,c,d,e,f=Object.create(null),g=this.words,h=j(g,a);h<g.length&&0===g[h].lastIndexOf(a,0);h++){b=g[h],c=this.postings[b],d=Math.log(1+this.size/c.n)*a.length/b.length;for(e in c.keys)f[e]=Math.max(f[e]||0,c.keys[e]*d)}return f},_sourceAdd:function(a,b){this._include(a,b),this.events.trigger("change",[[a]],!0)},_sourceRemove:function(a){this._exclude(a),this.events.trigger("change",[[a]],!0)},_sourceChange:function(a,b){this._exclude(a),this._include(a,b),this.events.trigger("change",[[a]],!0)},_sourceMove:function(a){this.events.trigger("change",[[a]],!0)},_include:function(a,b){var c,d,e=this.wordsOf[a]=Object.create(null);(G(b)?this.fields||Object.keys(b):[]).forEach(function(a){var c=b[a];"string"!=typeof c||!this.fields&&"$"===a.charAt(0)||i(c).forEach(function(a){e[a]=(e[a]||0)+1})},this);for(c in e)d=this.postings[c],d||(d=this.postings[c]={keys:Object.create(null),n:0},this.words.splice(j(this.words,c),0,c)),d.keys[a]=e[c],d.n++;this.size++},_exclude:function(a){var b,c,d=this.wordsOf[a];if(d){delete this.wordsOf[a];for(b in d)c=this.postings[b],delete c.keys[a],--c.n||(delete this.postings[b],this.words.splice(j(this.words,b),1));this.size--}}},h.prototype={on:b.prototype.on,off:b.prototype.off,dispose:function(){var a=this.source.derived.indexOf(this);this.source.events.unsubscribe("change",this.handlers.change),-1!==a&&this.source.derived.splice(a,1),this.events.off()},_refresh:function(){var a=this.list,b=this.source.search(this.query);b.length===a.length&&b.every(function(b,c){return b===a[c]})||(a.splice.apply(a,[0,a.length].concat(b)),this.events.trigger("change",[a],!0))}};var S={legacy:{key:function(a){return a.name()},priority:function(a){return a.getPriority()},refOf:function(a){return"function"==typeof a.ref?a.ref():a},child:function(a,b){return a.child(b)},push:function(a){return a.push()},set:function(a,b,c){a.set(b,c)},update:function(a,b,c){a.update(b,c)},setPriority:function(a,b,c){a.setPriority(b,c)},remove:function(a,b){a.remove(b)},transaction:function(a,b,c){a.transaction(b,c)},on:function(a,b,c,d){return a.on(b,c,d)},off:function(a,b,c){a.off(b,c)},limit:function(a,b){return a.limit(b)},startAt:function(a,b,c){return a.startAt(b,c)},endAt:function(a,b,c){return a.endAt(b,c)}}};S.namespaced=n({},S.legacy,{key:function(a){return"function"==typeof a.key?a.key():a.key},refOf:function(a){return("function"==typeof a.ref?a.ref():a.ref)||a},limit:function(a,b){return a.limitToLast(b)}}),q.prototype={on:function(a,b,c){if("change"!==a&&-1===this.types.indexOf(a))throw new Error("Invalid event type "+a+"; must be one of: change, "+this.types.join(", "));return(this.listeners[a]=this.listeners[a]||[]).push([b,c]),b},off:function(a,b){a?b?this.listeners[a]&&(this.listeners[a]=this.listeners[a].filter(function(a){return a[0]!==b})):delete this.listeners[a]:this.listeners={}},subscribe:function(a,b){(this.subscribers[a]=this.subscribers[a]||[]).push(b)},unsubscribe:function(a,b){var c=this.subscribers[a]||[],d=c.indexOf(b);-1!==d&&c.splice(d,1)},has:function(a){return!!(this.listeners[a]||[]).length},trigger:function(a,b,c){this._invoke(a,b),c||this._invoke("change",[a].concat(b))},_invoke:function(a,b){(this.subscribers[a]||[]).slice().forEach(function(a){a.apply(null,b)}),(this.listeners[a]||[]).slice().forEach(function(a){a[0].apply(a[1],b)})}},r.prototype.$updated=function(a){v(this,a)},a.getAsArray.Record=r,s.prototype=Object.create(Error.prototype),s.prototype.constructor=s,a.getAsArray.ValidationError=s,A.prototype={then:function(a,b){var c=new A;return this.handlers.push([a,b,c]),"pending"!==this.state&&this._flush(),c},catch:function(a){return this.then(null,a)},_resolve:function(a){var b=this,c=!1;if(!b.locked){if(a===b)return void b._settle("rejected",new TypeError("A promise cannot be resolved with itself"));try{var d=(G(a)||"function"==typeof a)&&a.then;if("function"==typeof d)return b.locked=!0,void d.call(a,function(a){c||(c=!0,b.locked=!1,b._resolve(a))},function(a){c||(c=!0,b.locked=!1,b._settle("rejected",a))})}catch(a){return void(c||(c=!0,b.locked=!1,b._settle("rejected",a)))}b._settle("fulfilled",a)}},_settle:function(a,b){"pending"!==this.state||this.locked||(this.state=a,this.value=b,this._flush())},_flush:function(){var a=this,b=a.handlers;a.handlers=[],setTimeout(function(){b.forEach(function(b){var c="fulfilled"===a.state?b[0]:b[1],d=b[2];if("function"!=typeof c)return void("fulfilled"===a.state?d._resolve(a.value):d._settle("rejected",a.value));try{d._resolve(c(a.value))}catch(a){d._settle("rejected",a)}})},0)}};var T={date:"timestamp",nan:"error",undefined:"remove"},U=100,V=1e3,W=/[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/,X=/^$|[.$#\[\]\/\x00-\x1F\x7F]/}("undefined"==typeof window?exports:window.Firebase);
\ No newline at end of file
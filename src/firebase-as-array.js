@@ -1,15 +1,169 @@
 (function(exports) {
 
-  exports.getAsArray = function(ref, eventCallback) {
-    return new ReadOnlySynchronizedArray(ref, eventCallback).getList();
+  exports.getAsArray = function(ref, eventCallback, opts) {
+    if( isObject(eventCallback) ) {
+      opts = eventCallback;
+      eventCallback = null;
+    }
+    return new ReadOnlySynchronizedArray(ref, eventCallback, opts).getList();
+  };
+
+  /**
+   * Returns a version of getAsArray whose records are instances of a Record subclass, with `methods` on its
+   * prototype. The methods may include the $updated and toJSON hooks described on Record.
+   */
+  exports.getAsArray.$extend = function(methods) {
+    var Factory = function(data) {
+      Record.call(this, data);
+    };
+    Factory.prototype = extend(Object.create(Record.prototype), methods, { constructor: Factory });
+    return function(ref, eventCallback, opts) {
+      if( isObject(eventCallback) ) {
+        opts = eventCallback;
+        eventCallback = null;
+      }
+      return exports.getAsArray(ref, eventCallback, extend({}, opts, { recordFactory: Factory }));
+    };
+  };
+
+  /**
+   * Storage adapters for the `storage` option. Each implements load(key), which returns the saved data (or a
+   * promise for it), and save(key, data), which may return a promise as well. Failures of either are reported
+   * with the error event.
+   */
+  exports.getAsArray.storage = {
+    // localStorage, or any object with the same getItem/setItem methods
+    local: function(storage) {
+      storage = storage || window.localStorage;
+      return {
+        load: function(key) {
+          var json = storage.getItem(key);
+          return json? JSON.parse(json) : null;
+        },
+        save: function(key, data) {
+          storage.setItem(key, JSON.stringify(data));
+        }
+      };
+    },
+
+    // IndexedDB is asynchronous, so the saved records appear once they are read rather than at construction
+    indexedDB: function(dbName, idb) {
+      var db = null;
+      idb = idb || window.indexedDB;
+      function open() {
+        if( !db ) {
+          var def = defer(), req = idb.open(dbName || 'firebase-as-array', 1);
+          req.onupgradeneeded = function() { req.result.createObjectStore('arrays'); };
+          req.onsuccess = function() { def.resolve(req.result); };
+          req.onerror = function() { def.reject(req.error); };
+          db = def.promise;
+        }
+        return db;
+      }
+      return {
+        load: function(key) {
+          return open().then(function(db) {
+            var def = defer(), req = db.transaction('arrays').objectStore('arrays').get(key);
+            req.onsuccess = function() { def.resolve(req.result || null); };
+            req.onerror = function() { def.reject(req.error); };
+            return def.promise;
+          });
+        },
+        save: function(key, data) {
+          return open().then(function(db) {
+            var def = defer(), tx = db.transaction('arrays', 'readwrite');
+            tx.objectStore('arrays').put(data, key);
+            tx.oncomplete = function() { def.resolve(); };
+            tx.onerror = function() { def.reject(tx.error); };
+            return def.promise;
+          });
+        }
+      };
+    },
+
+    // for Node; each array is saved as a JSON file in `dir`
+    file: function(dir) {
+      /* global require */
+      var fs = require('fs'), path = require('path');
+      function fileFor(key) {
+        return path.join(dir, encodeURIComponent(key) + '.json');
+      }
+      return {
+        load: function(key) {
+          try {
+            return JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+          }
+          catch(e) {
+            if( e.code === 'ENOENT' ) { return null; }
+            throw e;
+          }
+        },
+        save: function(key, data) {
+          fs.writeFileSync(fileFor(key), JSON.stringify(data));
+        }
+      };
+    }
   };
 
-  function ReadOnlySynchronizedArray(ref, eventCallback) {
+  var EVENT_TYPES = ['child_added', 'child_removed', 'child_changed', 'child_moved', 'loaded', 'error', 'batch',
+    'conflict', 'invalid', 'duplicate'];
+
+  function ReadOnlySynchronizedArray(ref, eventCallback, opts) {
+    this.opts = opts || {};
+    this.adapter = getAdapter(ref, this.opts);
     this.list = [];
     this.subs = []; // used to track event listeners for dispose()
-    this.ref = ref;
-    this.eventCallback = eventCallback;
+    this.derived = []; // arrays created by $filter and $map, which are disposed along with this one
+    this.keyIndex = Object.create(null); // maps each record's $id to its position in this.list
+    this.indexes = this.opts.indexes? makeIndexes(this.opts.indexes) : null; // see findBy()
+    this.indexed = Object.create(null); // the values each record was indexed under, see _indexRecord()
+    this.duplicates = Object.create(null); // the unique values each record was reported for, by key
+    this.searchIndexes = {}; // the indexes used by search(), by the fields they cover
+    this.query = ref; // the ref or query being listened to, see setWindow()
+    this.origin = ref; // the ref or query the array was created with, which windows are added to
+    this.ref = this.adapter.refOf(ref); // writes always go to the ref
+    this.window = {};
+    this.pageSize = null;
+    this.stale = null; // keys not yet confirmed by a new query, see _retarget()
+    this.comparator = this.opts.sortBy? makeComparator(this.opts.sortBy) : null;
+    this.factory = this.opts.recordFactory || null;
+    this.immutable = !!this.opts.immutable;
+    // a frozen copy of the list in immutable mode; it is dropped by each change and only copied again once it is
+    // asked for, see getSnapshot()
+    this.snapshot = null;
+    this.batchWindow = this.opts.batch === true? 0 :
+      (typeof(this.opts.batch) === 'number'? this.opts.batch : null);
+    this.batch = null; // the splices and changes collected for the next batch event, see _openBatch()
+    this.batchTimer = null;
+    this.storage = this.opts.storage || null;
+    this.storageKey = this.opts.storageKey || String(this.ref);
+    this.saveTimer = null;
+    this.persistWrites = !!(this.storage && this.opts.persistWrites);
+    this.queue = []; // writes which the server has not acknowledged, in the order they were made
+    this.optimistic = !!this.opts.optimistic;
+    this.versionField = this.opts.versionField || null;
+    this.versions = Object.create(null); // the version the outstanding versioned writes give each record
+    this.serializeRules = extend({}, SERIALIZE_RULES, this.opts.serialize);
+    this.validateIncoming = !!(this.opts.schema && this.opts.validateIncoming);
+    this.invalid = Object.create(null); // keys of server records which were not inserted because they are invalid
+    this.historySize = this.opts.history === true? DEFAULT_HISTORY :
+      (typeof(this.opts.history) === 'number'? this.opts.history : 0);
+    this.undoStack = []; // steps of [{key, before, after}], see _record()
+    this.redoStack = [];
+    this.historyStep = null; // the step which writes are added to while group() runs
+    this.replaying = false; // set while undo() and redo() write, so that their writes are not recorded
+    this.written = Object.create(null); // the state each record was last written with, see _historyState()
+    this.pending = Object.create(null); // counts the outstanding optimistic writes for each key
+    // the last value and priority the server confirmed for each key, see _writeLocal()
+    this.confirmed = Object.create(null);
+    this.removedAt = Object.create(null); // positions of records removed optimistically, for rollbacks
+    this.events = new EventEmitter(EVENT_TYPES);
+    if( eventCallback ) { this.events.on('change', eventCallback); }
+    this.isLoaded = false;
+    this.loadedDef = defer();
+    this.loadError = null; // set when the server cancels the listeners, see _serverCancel()
     this._wrapList();
+    if( this.storage ) { this._rehydrate(); }
     this._initListeners();
   }
 
@@ -18,31 +172,212 @@
       return this.list;
     },
 
-    add: function(data) {
-      var key = this.ref.push().name();
-      var ref = this.ref.child(key);
-      if( arguments.length > 0 ) { ref.set(parseForJson(data), this._handleErrors.bind(this, key)); }
-      return ref;
+    add: function(data, priority) {
+      var adapter = this.adapter, ref = adapter.push(this.ref);
+      if( arguments.length > 0 ) {
+        return this.set(adapter.key(ref), data, priority);
+      }
+      // nothing is written, so there is nothing to wait for
+      var def = defer();
+      def.resolve(adapter.child(this.ref, adapter.key(ref)));
+      return def.promise;
     },
 
-    set: function(key, newValue) {
-      this.ref.child(key).set(parseForJson(newValue), this._handleErrors.bind(this, key));
+    set: function(key, newValue, priority) {
+      var adapter = this.adapter, parts = splitPriority(newValue), data, err, forget;
+      try {
+        data = this._serialize(parts[0]);
+      }
+      catch(e) {
+        return rejected(e);
+      }
+      err = this._validate(data);
+      if( err ) {
+        return rejected(err);
+      }
+      // a set() without a priority clears it on the server, so the record's current priority is sent along
+      if( priority === undefined ) {
+        priority = parts[1] !== undefined? parts[1] : (this.getRecord(key) || {}).$priority;
+      }
+      forget = this._record(key, this._stateOf(data, priority));
+      data = withPriority(data, priority);
+      if( this.versionField ) {
+        return this._versionedWrite({ key: key, type: 'set', data: data, forget: forget }, data);
+      }
+      return this._write({ key: key, type: 'set', data: data, forget: forget }, function(cb, ref) {
+        adapter.set(ref, data, cb);
+      }, data);
     },
 
     update: function(key, newValue) {
-      this.ref.child(key).update(parseForJson(newValue), this._handleErrors.bind(this, key));
+      var adapter = this.adapter, data, current = parseForJson(this.getRecord(key));
+      try {
+        data = this._serialize(newValue, true);
+      }
+      catch(e) {
+        return rejected(e);
+      }
+      var merged = isObject(data)? applyUpdate(current, data) : undefined;
+      var err = merged && this._validate(merged);
+      if( err ) {
+        return rejected(err);
+      }
+      var priority = (this.getRecord(key) || {}).$priority;
+      var forget = this._record(key, this._stateOf(merged && withoutNulls(merged), priority));
+      if( this.versionField && merged ) {
+        return this._versionedWrite({ key: key, type: 'update', data: data, forget: forget }, merged);
+      }
+      return this._write({ key: key, type: 'update', data: data, forget: forget }, function(cb, ref) {
+        adapter.update(ref, data, cb);
+      }, merged);
     },
 
     setPriority: function(key, newPriority) {
-      this.ref.child(key).setPriority(newPriority);
+      var adapter = this.adapter;
+      var forget = this._record(key, this._stateOf(this._historyState(key).value, newPriority));
+      return this._write({ key: key, type: 'setPriority', data: newPriority, forget: forget }, function(cb, ref) {
+        adapter.setPriority(ref, newPriority, cb);
+      });
+    },
+
+    moveTo: function(key, index) {
+      // the record is given a priority between those of its new neighbours, so no other record is rewritten
+      var others, priority;
+      if( this.comparator ) {
+        return rejected(new Error('Records sorted with the sortBy option cannot be moved'));
+      }
+      if( this.posByKey(key) === -1 ) {
+        return rejected(new Error('Cannot move ' + key + ', it is not in the list'));
+      }
+      others = this.list.filter(function(rec) { return rec.$id !== key; });
+      index = Math.max(0, Math.min(index, others.length));
+      priority = priorityBetween(others[index - 1], others[index]);
+      return priority === null? this._rebalance(key, others, index) : this.setPriority(key, priority);
+    },
+
+    moveBefore: function(key, otherKey) {
+      return this._moveNextTo(key, otherKey, 0);
+    },
+
+    moveAfter: function(key, otherKey) {
+      return this._moveNextTo(key, otherKey, 1);
     },
 
     remove: function(key) {
-      this.ref.child(key).remove(this._handleErrors.bind(null, key));
+      var adapter = this.adapter, forget = this._record(key, this._stateOf(null));
+      return this._write({ key: key, type: 'remove', data: null, forget: forget }, function(cb, ref) {
+        adapter.remove(ref, cb);
+      }, this.posByKey(key) === -1? undefined : null);
+    },
+
+    commit: function(ops) {
+      // writes several records with a single multi-path update, so other clients never see part of it applied; the
+      // promise resolves with the keys which were written once the server acknowledges them, or rejects as a unit
+      var self = this, changes = {}, seen = {}, callbacks = [], writes, promises;
+      try {
+        writes = ops.map(function(op) {
+          if( seen[op.key] ) {
+            throw new Error('Cannot write ' + op.key + ' more than once in a batch');
+          }
+          seen[op.key] = true;
+          return self._prepareOp(op, changes);
+        });
+      }
+      catch(e) {
+        return rejected(e);
+      }
+      promises = this.group(function() {
+        return writes.map(function(w) {
+          w.write.forget = self._record(w.write.key, w.after);
+          return self._write(w.write, function(cb) { callbacks.push(cb); }, w.local);
+        });
+      });
+      function settle(err) {
+        callbacks.forEach(function(cb) { cb(err); });
+      }
+      if( writes.length ) {
+        try {
+          this.adapter.update(this.ref, changes, settle);
+        }
+        catch(e) {
+          // invalid data throws before anything is sent to the server
+          settle(e);
+        }
+      }
+      return all(promises).then(function() {
+        return { keys: writes.map(function(w) { return w.write.key; }) };
+      });
+    },
+
+    batchWrites: function(fn) {
+      // fn is passed an object whose methods collect the operations for commit()
+      var ops = [], batch = {};
+      ['set', 'update', 'remove', 'move'].forEach(function(type) {
+        batch[type] = function(key, value) {
+          ops.push({ op: type, key: key, value: value });
+          return batch;
+        };
+      });
+      fn(batch);
+      return this.commit(ops);
+    },
+
+    undo: function() {
+      return this._applyStep(this.undoStack, this.redoStack, 'before', 'after');
+    },
+
+    redo: function() {
+      return this._applyStep(this.redoStack, this.undoStack, 'after', 'before');
+    },
+
+    canUndo: function() {
+      return this.undoStack.length > 0;
+    },
+
+    canRedo: function() {
+      return this.redoStack.length > 0;
+    },
+
+    group: function(fn) {
+      // the writes fn makes (synchronously) are undone as one step; a nested group is part of the outer one
+      if( this.historyStep ) { return fn(); }
+      this.historyStep = [];
+      try {
+        return fn();
+      }
+      finally {
+        var step = this.historyStep;
+        this.historyStep = null;
+        if( step.length ) { this._pushStep(this.undoStack, step); }
+      }
+    },
+
+    pendingWrites: function() {
+      return this.queue.map(function(write) {
+        return { key: write.key, type: write.type, data: copy(write.data) };
+      });
+    },
+
+    transaction: function(key, fn) {
+      var self = this, adapter = this.adapter, def = defer();
+      adapter.transaction(adapter.child(this.ref, key), function(current) {
+        // returning undefined aborts the transaction
+        var res = fn(self._createRecord(key, copy(current)));
+        return res === undefined? undefined : self._serialize(res);
+      }, function(err, committed, snap) {
+        if( err ) {
+          self._handleErrors(key, err);
+          def.reject(err);
+        }
+        else {
+          def.resolve({ committed: committed, snapshot: snap });
+        }
+      });
+      return def.promise;
     },
 
     posByKey: function(key) {
-      return findKeyPos(this.list, key);
+      return key in this.keyIndex? this.keyIndex[key] : -1;
     },
 
     placeRecord: function(key, prevId) {
@@ -66,140 +401,2378 @@
       return this.list[i];
     },
 
+    findBy: function(field, value) {
+      // uses the index for the field if there is one (see the `indexes` option), otherwise scans the array
+      var self = this, index = this.indexes && this.indexes[field], keys;
+      if( !index ) {
+        return this.list.filter(function(rec) { return rec[field] === value; });
+      }
+      keys = index.values[indexKey(value)] || [];
+      return keys.map(function(key) { return self.posByKey(key); }).sort(function(a, b) {
+        return a - b;
+      }).map(function(pos) {
+        return self.list[pos];
+      });
+    },
+
+    findOneBy: function(field, value) {
+      return this.findBy(field, value)[0] || null;
+    },
+
+    loaded: function(callback) {
+      var promise = this.loadedDef.promise;
+      if( callback ) {
+        promise = promise.then(callback);
+      }
+      return promise;
+    },
+
+    on: function(eventType, fn, context) {
+      return this.events.on(eventType, fn, context);
+    },
+
+    off: function(eventType, fn) {
+      if( arguments.length === 0 ) {
+        this.dispose();
+      }
+      else {
+        this.events.off(eventType, fn);
+      }
+    },
+
+    setWindow: function(win) {
+      // the window is added to the original query so that its ordering (e.g. orderByChild) is kept; the SDK
+      // refuses a limit, start or end which that query already has, and the window is then rejected
+      var adapter = this.adapter, query = this.origin;
+      try {
+        if( win.start !== undefined ) { query = adapter.startAt.apply(null, [query].concat(win.start)); }
+        if( win.end !== undefined ) { query = adapter.endAt.apply(null, [query].concat(win.end)); }
+        if( win.limit ) { query = adapter.limit(query, win.limit); }
+      }
+      catch(e) {
+        return rejected(e);
+      }
+      this.window = { start: win.start, end: win.end, limit: win.limit };
+      if( this.pageSize === null && win.limit ) { this.pageSize = win.limit; }
+      this._retarget(query);
+      return this.loaded();
+    },
+
+    loadMore: function(n) {
+      var win = this.window;
+      var limit = win.limit || this.list.length;
+      return this.setWindow({ start: win.start, end: win.end, limit: limit + (n || this.pageSize || limit) });
+    },
+
+    filter: function(predicate) {
+      return derive(this, predicate, false);
+    },
+
+    map: function(fn) {
+      return derive(this, fn, true);
+    },
+
+    aggregate: function(spec) {
+      var agg = new Aggregate(this, spec);
+      this.derived.push(agg);
+      return agg.result;
+    },
+
+    groupBy: function(field) {
+      var grouping = new Grouping(this, field);
+      this.derived.push(grouping);
+      return grouping.map;
+    },
+
+    search: function(query, opts) {
+      // the index for a set of fields is built by the first search of them, and kept up to date from then on
+      var fields = opts && opts.fields || null, id = fields? fields.join('\n') : '';
+      var index = this.searchIndexes[id];
+      if( !index ) {
+        index = this.searchIndexes[id] = new SearchIndex(this, id, fields);
+        this.derived.push(index);
+      }
+      return opts && opts.live? new SearchResults(index, query).list : index.search(query);
+    },
+
+    keyAt: function(pos) {
+      return this.list[pos].$id;
+    },
+
+    getSnapshot: function() {
+      if( !this.immutable ) {
+        return this.list.slice();
+      }
+      if( !this.snapshot ) {
+        this.snapshot = Object.freeze(this.list.slice());
+      }
+      return this.snapshot;
+    },
+
     dispose: function() {
-      var ref = this.ref;
+      var adapter = this.adapter, query = this.query;
       this.subs.forEach(function(s) {
-        ref.off(s[0], s[1]);
+        adapter.off(query, s[0], s[1]);
       });
       this.subs = [];
+      this.events.off();
+      clearTimeout(this.batchTimer);
+      this.batch = null;
+      if( this.saveTimer ) { this._save(); }
+      this.derived.slice().forEach(function(d) {
+        d.dispose();
+      });
     },
 
     _serverAdd: function(snap, prevId) {
-      var data = parseVal(snap.name(), snap.val());
-      this._moveTo(snap.name(), data, prevId);
-      this._handleEvent('child_added', snap.name(), data);
+      var id = this.adapter.key(snap);
+      if( this.validateIncoming && !this._checkIncoming(id, snap.val()) ) { return; }
+      if( this.stale ) { delete this.stale[id]; }
+      this._confirm(id, snap.val(), this._priorityOf(snap));
+      if( this.posByKey(id) !== -1 ) {
+        this._serverReplace(id, parseVal(id, snap.val(), this._priorityOf(snap)), prevId);
+      }
+      else {
+        var data = this._createRecord(id, snap.val(), this._priorityOf(snap));
+        if( this.pending[id] ) { data.$pending = true; }
+        this._moveTo(id, data, prevId);
+        this._handleEvent('child_added', id, data);
+      }
     },
 
-    _serverRemove: function(snap) {
-      var pos = this.posByKey(snap.name());
-      if( pos !== -1 ) {
-        this.list.splice(pos, 1);
-        this._handleEvent('child_removed', snap.name(), this.list[pos]);
+    _serverReplace: function(id, data, prevId) {
+      // a record we already have was delivered by a new query (see _retarget), so it is updated in place
+      // and kept at the same position unless the query orders it differently
+      var pos = this.posByKey(id), rec = this.list[pos];
+      var changed = !isEqual(parseForJson(rec), parseForJson(data)) || rec.$priority !== data.$priority;
+      if( changed ) {
+        rec = this._updateRecord(pos, data);
+      }
+      if( this.comparator ) {
+        if( changed ) { this._handleEvent('child_changed', id, rec); }
+        this._resort(id);
+        return;
       }
+      var newPos = this.placeRecord(id, prevId);
+      if( newPos !== pos && newPos !== pos + 1 ) {
+        this._removeAt(pos);
+        this._insertAt(newPos > pos? newPos - 1 : newPos, rec);
+      }
+      if( changed ) { this._handleEvent('child_changed', id, rec); }
+      if( this.posByKey(id) !== pos ) { this._handleEvent('child_moved', id, rec); }
     },
 
-    _serverChange: function(snap) {
-      var pos = this.posByKey(snap.name());
+    _serverRemove: function(snap) {
+      var id = this.adapter.key(snap);
+      var pos = this.posByKey(id);
+      delete this.invalid[id];
+      delete this.duplicates[id];
+      this._confirm(id, null);
       if( pos !== -1 ) {
-        this.list[pos] = applyToBase(this.list[pos], parseVal(snap.name(), snap.val()));
-        this._handleEvent('child_changed', snap.name(), this.list[pos]);
+        var data = this._removeAt(pos);
+        this._handleEvent('child_removed', id, data);
       }
     },
 
-    _serverMove: function(snap, prevId) {
-      var id = snap.name();
-      var oldPos = this.posByKey(id);
-      if( oldPos !== -1 ) {
-        var data = this.list[oldPos];
-        this.list.splice(oldPos, 1);
-        this._moveTo(id, data, prevId);
-        this._handleEvent('child_moved', snap.name(), data);
+    _serverChange: function(snap, prevId) {
+      var id = this.adapter.key(snap);
+      var pos = this.posByKey(id);
+      var data = parseVal(id, snap.val(), this._priorityOf(snap));
+      if( this.validateIncoming ) {
+        // invalid changes are not applied, and records which were invalid are added once they are fixed
+        var wasInvalid = this.invalid[id];
+        if( !this._checkIncoming(id, snap.val()) ) { return; }
+        if( wasInvalid && pos === -1 ) {
+          this._serverAdd(snap, prevId);
+          return;
+        }
+      }
+      this._confirm(id, snap.val(), this._priorityOf(snap));
+      // while an optimistic write is pending, the server may echo a value we already applied
+      if( pos !== -1 && !(this.pending[id] && this.list[pos].$priority === data.$priority &&
+          isEqual(parseForJson(this.list[pos]), parseForJson(data))) ) {
+        this._handleEvent('child_changed', id, this._updateRecord(pos, data));
+        this._resort(id);
       }
     },
 
-    _moveTo: function(id, data, prevId) {
-      var pos = this.placeRecord(id, prevId);
-      this.list.splice(pos, 0, data);
+    _priorityOf: function(snap) {
+      // custom adapters written before records had a $priority may not implement priority()
+      var priority = typeof(this.adapter.priority) === 'function'? this.adapter.priority(snap) : null;
+      return priority === undefined? null : priority;
     },
 
-    _handleErrors: function(key, err) {
+    _checkIncoming: function(key, value) {
+      var err = this._validate(parseForJson(value));
       if( err ) {
-        this._handleEvent('error', null, key);
-        console.error(err);
+        this.invalid[key] = true;
+        this._handleEvent('invalid', key, err);
+        return false;
       }
+      delete this.invalid[key];
+      return true;
     },
 
-    _handleEvent: function(eventType, recordId, data) {
-      // console.log(eventType, recordId);
-      this.eventCallback && this.eventCallback(eventType, recordId, data);
+    _moveNextTo: function(key, otherKey, offset) {
+      var pos = this.posByKey(key), otherPos = this.posByKey(otherKey);
+      if( otherPos === -1 ) {
+        return rejected(new Error('Cannot move ' + key + ' next to ' + otherKey + ', it is not in the list'));
+      }
+      // moveTo() counts positions without the moved record, so those after it shift down by one
+      return this.moveTo(key, otherPos + offset - (pos !== -1 && pos < otherPos? 1 : 0));
     },
 
-    _wrapList: function() {
-      this.list.$indexOf = this.posByKey.bind(this);
-      this.list.$add = this.add.bind(this);
-      this.list.$remove = this.remove.bind(this);
-      this.list.$set = this.set.bind(this);
-      this.list.$update = this.update.bind(this);
-      this.list.$move = this.setPriority.bind(this);
-      this.list.$rawData = function(key) { return parseForJson(this.getRecord(key)) }.bind(this);
-      this.list.$off = this.dispose.bind(this);
+    _rebalance: function(key, others, index) {
+      // there is no priority left between the neighbours, so the records are given evenly spaced ones
+      var self = this, order = others.slice();
+      order.splice(index, 0, this.getRecord(key));
+      return this.group(function() {
+        return all(order.map(function(rec, i) {
+          var priority = (i + 1) * PRIORITY_STEP;
+          return rec.$priority === priority? null : self.setPriority(rec.$id, priority);
+        }));
+      }).then(function() {
+        return self.adapter.child(self.ref, key);
+      });
     },
 
-    _initListeners: function() {
-      this._monit('child_added', this._serverAdd);
-      this._monit('child_removed', this._serverRemove);
-      this._monit('child_changed', this._serverChange);
-      this._monit('child_moved', this._serverMove);
+    _prepareOp: function(op, changes) {
+      // checks one of the operations given to commit() and adds its paths to the multi-path update; returns the
+      // write to queue, its local value (see _write) and the record's state after it (see _record)
+      var key = op.key, rec = this.getRecord(key), base = parseForJson(rec), data, merged, err, parts, priority;
+      if( this.versionField && (op.op === 'set' || op.op === 'update') ) {
+        // a multi-path update cannot check the version of each record, as _versionedWrite does
+        throw new Error('Cannot ' + op.op + ' ' + key + ' in a batch, since the versionField option is set');
+      }
+      if( op.op === 'set' ) {
+        parts = splitPriority(op.value);
+        data = this._serialize(parts[0]);
+        err = this._validate(data);
+        if( err ) { throw err; }
+        priority = parts[1] !== undefined? parts[1] : (rec || {}).$priority;
+        changes[key] = withPriority(data, priority);
+        return {
+          write: { key: key, type: 'set', data: changes[key] },
+          local: changes[key],
+          after: this._stateOf(data, priority)
+        };
+      }
+      else if( op.op === 'update' ) {
+        data = this._serialize(op.value, true);
+        if( !isObject(data) ) {
+          throw new Error('The value for updating ' + key + ' must be an object');
+        }
+        merged = applyUpdate(base, data);
+        err = this._validate(merged);
+        if( err ) { throw err; }
+        Object.keys(data).forEach(function(field) {
+          changes[key + '/' + field] = data[field];
+        });
+        return {
+          write: { key: key, type: 'update', data: data },
+          local: merged,
+          after: this._stateOf(withoutNulls(merged), (rec || {}).$priority)
+        };
+      }
+      else if( op.op === 'remove' ) {
+        changes[key] = null;
+        return {
+          write: { key: key, type: 'remove', data: null },
+          local: rec? null : undefined,
+          after: this._stateOf(null)
+        };
+      }
+      else if( op.op === 'move' ) {
+        // only the priority is written, so the rest of the record is left as it is
+        changes[key + '/.priority'] = op.value;
+        return {
+          write: { key: key, type: 'setPriority', data: op.value },
+          local: undefined,
+          after: this._stateOf(this._historyState(key).value, op.value)
+        };
+      }
+      throw new Error('Invalid operation ' + op.op + '; must be one of: set, update, remove, move');
     },
 
-    _monit: function(event, method) {
-      this.subs.push([event, this.ref.on(event, method.bind(this))]);
-    }
-  };
+    _record: function(key, after) {
+      // adds a write to the history, along with the record's state before it (see the `history` option); when a
+      // group writes a record more than once, its first `before` and last `after` are kept. Returns a function
+      // which takes the write out again, for when it fails
+      if( !this.historySize ) { return undefined; }
+      var self = this, before = this._historyState(key), written = this.written[key];
+      var step = this.historyStep || [], entry, previous;
+      this.written[key] = after;
+      if( this.replaying ) { return undefined; }
+      entry = step.filter(function(e) { return e.key === key; })[0];
+      if( entry ) {
+        previous = entry.after;
+        entry.after = after;
+      }
+      else {
+        entry = { key: key, before: before, after: after };
+        step.push(entry);
+      }
+      if( !this.historyStep ) { this._pushStep(this.undoStack, step); }
+      this.redoStack = [];
+      return function() {
+        if( self.written[key] === after ) { self.written[key] = written; }
+        if( previous !== undefined ) {
+          entry.after = previous;
+          return;
+        }
+        step.splice(step.indexOf(entry), 1);
+        [self.undoStack, self.redoStack].forEach(function(stack) {
+          var i = stack.indexOf(step);
+          if( !step.length && i !== -1 ) { stack.splice(i, 1); }
+        });
+      };
+    },
 
-  function applyToBase(base, data) {
-    // do not replace the reference to objects contained in the data
-    // instead, just update their child values
-    if( isObject(base) && isObject(data) ) {
-      var key;
-      for(key in base) {
-        if( key !== '$id' && base.hasOwnProperty(key) && !data.hasOwnProperty(key) ) {
-          delete base[key];
+    _pushStep: function(stack, step) {
+      stack.push(step);
+      if( stack.length > this.historySize ) { stack.shift(); }
+    },
+
+    _applyStep: function(from, to, target, expected) {
+      // writes each record of the step back to its `target` state; records which no longer have the
+      // `expected` state were changed by someone else since, so they are skipped and reported
+      var self = this, step = from.pop(), skipped = [], applied = [], writes;
+      if( !step ) { return all([]).then(function() { return { skipped: skipped }; }); }
+      this.replaying = true;
+      try {
+        writes = step.map(function(entry) {
+          if( !isEqual(self._historyState(entry.key), entry[expected]) ) {
+            skipped.push(entry.key);
+            return null;
+          }
+          applied.push(entry);
+          return self._restoreState(entry.key, entry[target]);
+        });
+      }
+      finally {
+        this.replaying = false;
+      }
+      if( applied.length ) { this._pushStep(to, applied); }
+      return all(writes).then(function() { return { skipped: skipped }; });
+    },
+
+    _restoreState: function(key, state) {
+      if( state.value === null ) {
+        return this.remove(key);
+      }
+      if( isEqual(this._historyState(key).value, state.value) ) {
+        return this.setPriority(key, state.priority);
+      }
+      return this.set(key, state.value, state.priority);
+    },
+
+    _historyState: function(key) {
+      // until the server acknowledges a write, the array may not show it yet
+      if( this.pending[key] && this.written[key] ) { return this.written[key]; }
+      var rec = this.getRecord(key);
+      return rec? this._stateOf(this._serialize(rec), rec.$priority) : this._stateOf(null);
+    },
+
+    _stateOf: function(value, priority) {
+      // the state of a record as the history compares it; the versionField changes with every write,
+      // so it is left out
+      if( value === undefined ) { value = null; }
+      if( this.versionField && isObject(value) && value.hasOwnProperty(this.versionField) ) {
+        value = extend({}, value);
+        delete value[this.versionField];
+      }
+      return { value: value, priority: value === null || priority === undefined? null : priority };
+    },
+
+    _serialize: function(value, paths) {
+      // with paths, the value is an update whose keys may be paths such as 'profile/name'
+      return parseForJson(value, this.serializeRules, paths);
+    },
+
+    _validate: function(value) {
+      // returns a ValidationError if the value does not match the schema option
+      var schema = this.opts.schema, errors;
+      if( !schema ) { return null; }
+      errors = typeof(schema) === 'function'? schema(value) : checkSchema(schema, value, '', []);
+      if( errors === false ) {
+        errors = [{ path: '', message: 'is invalid' }];
+      }
+      return errors && errors.length? new ValidationError(errors, value) : null;
+    },
+
+    _serverMove: function(snap, prevId) {
+      var id = this.adapter.key(snap);
+      var oldPos = this.posByKey(id), priority = this._priorityOf(snap);
+      this._confirm(id, snap.val(), priority);
+      // when sorting locally, the server's (priority) order does not apply, but the record's $priority does
+      if( oldPos !== -1 && this.comparator ) {
+        this._setMeta(id, { $priority: priority });
+      }
+      else if( oldPos !== -1 ) {
+        var data = this._removeAt(oldPos);
+        if( this.immutable ) { data = this._copyRecord(data); }
+        data.$priority = priority;
+        this._moveTo(id, data, prevId);
+        this._handleEvent('child_moved', id, data);
+      }
+    },
+
+    _serverLoaded: function() {
+      // the value event fires after the child_added events for the initial data set
+      if( !this.isLoaded ) {
+        this.isLoaded = true;
+        this._unmonit('value');
+        this._removeStale();
+        this._handleEvent('loaded', null, this.list);
+        this.loadedDef.resolve(this.list);
+      }
+    },
+
+    _serverCancel: function(err) {
+      // a denied read cancels every listener on the query, so only the first cancellation is handled
+      if( this.subs.length ) {
+        this.subs = [];
+        this.loadError = err;
+        if( !this.isLoaded ) {
+          // the error event reports it too, so the rejection is not left unhandled when nobody called $loaded()
+          this.loadedDef.promise.then(null, function() {});
+          this.loadedDef.reject(err);
         }
+        this._handleErrors(null, err);
       }
-      for(key in data) {
-        if( data.hasOwnProperty(key) ) {
-          base[key] = data[key];
+    },
+
+    _retarget: function(query) {
+      var self = this;
+      this.subs.forEach(function(s) {
+        self.adapter.off(self.query, s[0], s[1]);
+      });
+      this.subs = [];
+      this.query = query;
+      // records are kept (rather than cleared and reloaded) until the new query has delivered its data,
+      // any it did not include are removed in _serverLoaded
+      this.stale = Object.create(null);
+      this.list.forEach(function(rec) {
+        self.stale[rec.$id] = true;
+      });
+      // a promise from $loaded() or an earlier window which has not settled yet waits for the new query instead
+      if( this.isLoaded || this.loadError ) {
+        this.loadedDef = defer();
+      }
+      this.isLoaded = false;
+      this.loadError = null;
+      this._initListeners();
+    },
+
+    _removeStale: function() {
+      var stale = this.stale;
+      this.stale = null;
+      for(var id in stale) {
+        var pos = this.posByKey(id);
+        if( pos !== -1 ) {
+          this._handleEvent('child_removed', id, this._removeAt(pos));
         }
       }
-      return base;
-    }
-    else {
-      return data;
-    }
-  }
+    },
 
-  function isObject(x) {
-    return typeof(x) === 'object' && x !== null;
-  }
+    _rehydrate: function() {
+      var self = this, saved;
+      function restore(data) {
+        // malformed data throws here, which would otherwise be lost in the promise of an asynchronous load
+        try {
+          self._restore(data);
+        }
+        catch(e) {
+          self._handleErrors(null, e);
+        }
+      }
+      try {
+        saved = this.storage.load(this.storageKey);
+      }
+      catch(e) {
+        this._handleErrors(null, e);
+        return;
+      }
+      if( saved && typeof(saved.then) === 'function' ) {
+        saved.then(restore, function(e) { self._handleErrors(null, e); });
+      }
+      else {
+        restore(saved);
+      }
+    },
 
-  function findKeyPos(list, key) {
-    for(var i = 0, len = list.length; i < len; i++) {
-      if( list[i].$id === key ) {
-        return i;
+    _restore: function(saved) {
+      // the saved records are shown until the server's data arrives; like the records of a previous query
+      // (see _retarget), those the server no longer has are removed in _serverLoaded
+      if( !saved ) { return; }
+      var self = this, prevId = null;
+      if( !this.isLoaded ) {
+        this.stale = this.stale || Object.create(null);
+        saved.records.forEach(function(rec) {
+          if( self.posByKey(rec.key) === -1 ) {
+            var data = self._createRecord(rec.key, rec.value, rec.priority);
+            self.stale[rec.key] = true;
+            self._moveTo(rec.key, data, prevId);
+            self._handleEvent('child_added', rec.key, data);
+          }
+          prevId = rec.key;
+        });
       }
-    }
-    return -1;
-  }
+      if( this.persistWrites && saved.writes ) {
+        this._replay(saved.writes);
+      }
+    },
 
-  function parseForJson(data) {
-    if( data && typeof(data) === 'object' ) {
-      delete data['$id'];
-      if( data.hasOwnProperty('.value') ) {
-        data = data['.value'];
+    _scheduleSave: function() {
+      if( !this.saveTimer ) {
+        this.saveTimer = setTimeout(this._save.bind(this), 0);
       }
-    }
-    if( data === undefined ) {
-      data = null;
-    }
-    return data;
-  }
+    },
 
-  function parseVal(id, data) {
-    if( typeof(data) !== 'object' || !data ) {
-      data = { '.value': data };
-    }
-    data['$id'] = id;
-    return data;
+    _save: function() {
+      var self = this, data = {}, saved;
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      data.records = this.list.map(function(rec) {
+        var priority = rec.$priority === undefined? null : rec.$priority;
+        return { key: rec.$id, value: parseForJson(rec), priority: priority };
+      });
+      if( this.persistWrites ) {
+        data.writes = this.pendingWrites();
+      }
+      // this runs from a timer, where nobody could catch what the storage throws (e.g. a full localStorage)
+      try {
+        saved = this.storage.save(this.storageKey, data);
+      }
+      catch(e) {
+        this._handleErrors(null, e);
+        return;
+      }
+      if( saved && typeof(saved.then) === 'function' ) {
+        saved.then(null, function(e) { self._handleErrors(null, e); });
+      }
+    },
+
+    _replay: function(writes) {
+      // writes saved by an earlier session which the server never acknowledged are made again; their
+      // failures are reported with the error event, since nobody holds the promises
+      var self = this;
+      writes.forEach(function(write) {
+        self[write.type](write.key, write.data).then(null, function() {});
+      });
+    },
+
+    _moveTo: function(id, data, prevId) {
+      var pos = this.comparator? this._sortedPos(data) : this.placeRecord(id, prevId);
+      this._insertAt(pos, data);
+    },
+
+    _sortedPos: function(data) {
+      // binary search for the first record which sorts after data
+      var lo = 0, hi = this.list.length;
+      while( lo < hi ) {
+        var mid = Math.floor((lo + hi) / 2);
+        if( this.comparator(this.list[mid], data) > 0 ) {
+          hi = mid;
+        }
+        else {
+          lo = mid + 1;
+        }
+      }
+      return lo;
+    },
+
+    _resort: function(id) {
+      // when sorting locally, moves a record whose sort value changed and triggers child_moved
+      var pos = this.posByKey(id), list = this.list, cmp = this.comparator;
+      if( cmp && ((pos > 0 && cmp(list[pos-1], list[pos]) > 0) ||
+          (pos < list.length - 1 && cmp(list[pos], list[pos+1]) > 0)) ) {
+        var rec = this._removeAt(pos);
+        this._moveTo(id, rec);
+        if( this.posByKey(id) !== pos ) {
+          this._handleEvent('child_moved', id, rec);
+        }
+      }
+    },
+
+    _createRecord: function(key, value, priority) {
+      var data = parseVal(key, value, priority);
+      return this.factory? new this.factory(data) : data;
+    },
+
+    _updateRecord: function(pos, data) {
+      var rec = this.list[pos];
+      this._unindexRecord(rec.$id);
+      if( this.immutable ) {
+        rec = this.list[pos] = this._copyRecord(rec, data);
+      }
+      else if( typeof(rec.$updated) === 'function' ) {
+        rec.$updated(data);
+      }
+      else {
+        rec = this.list[pos] = applyToBase(rec, data);
+      }
+      this._indexRecord(rec);
+      return rec;
+    },
+
+    _indexRecord: function(rec) {
+      // adds the record to the index of each field in the `indexes` option; a unique index still accepts a value
+      // which another record has, since the server's data is what it is, but reports it with the error and
+      // duplicate events. Records are indexed again each time they move, so a value is only reported once
+      var key = rec.$id, values, reported, duplicates, field, index, value, keys, err;
+      if( !this.indexes ) { return; }
+      values = this.indexed[key] = {};
+      reported = this.duplicates[key] || {};
+      duplicates = this.duplicates[key] = {};
+      for(field in this.indexes) {
+        index = this.indexes[field];
+        value = indexKey(rec[field]);
+        if( value === null ) { continue; }
+        keys = index.values[value] = index.values[value] || [];
+        values[field] = value;
+        if( index.unique && keys.length ) {
+          duplicates[field] = value;
+        }
+        if( index.unique && keys.length && reported[field] !== value ) {
+          err = new Error('The ' + field + ' of ' + key + ' is already used by ' + keys.join(', '));
+          err.code = 'unique';
+          err.field = field;
+          err.value = rec[field];
+          err.keys = keys.slice();
+          this._handleEvent('error', key, err);
+          this._handleEvent('duplicate', key, err);
+        }
+        keys.push(key);
+      }
+    },
+
+    _unindexRecord: function(key) {
+      var values = this.indexed[key], field, keys;
+      if( !values ) { return; }
+      delete this.indexed[key];
+      for(field in values) {
+        keys = this.indexes[field].values[values[field]];
+        keys.splice(keys.indexOf(key), 1);
+        if( !keys.length ) { delete this.indexes[field].values[values[field]]; }
+      }
+    },
+
+    _copyRecord: function(rec, data) {
+      // in immutable mode, changed records are replaced by a copy which keeps their local fields ($id, $pending);
+      // without new data, the copy keeps all of the record's fields
+      var next = Object.keys(rec).reduce(function(out, key) {
+        if( data === undefined || key.charAt(0) === '$' ) { out[key] = rec[key]; }
+        return out;
+      }, {});
+      extend(next, data);
+      return this.factory? new this.factory(next) : next;
+    },
+
+    _insertAt: function(pos, data) {
+      this.list.splice(pos, 0, data);
+      this._reindex(pos);
+      this._indexRecord(data);
+      if( this.batchWindow !== null ) { this._batchSplice(pos, null, data); }
+    },
+
+    _removeAt: function(pos) {
+      var data = this.list.splice(pos, 1)[0];
+      delete this.keyIndex[data.$id];
+      this._unindexRecord(data.$id);
+      this._reindex(pos);
+      if( this.batchWindow !== null ) { this._batchSplice(pos, data, null); }
+      return data;
+    },
+
+    _reindex: function(start) {
+      // only the records at or after a splice shift position, so appending (the common case
+      // during the initial load) costs O(1) rather than a scan of the entire list
+      for(var i = start, len = this.list.length; i < len; i++) {
+        this.keyIndex[this.list[i].$id] = i;
+      }
+    },
+
+    _write: function(write, fn, localValue) {
+      // invokes fn(callback, ref) and returns a promise that settles when the server acknowledges
+      // the write: it resolves with the record's ref or rejects with the error Firebase returned
+      var self = this, key = write.key, ref = this.adapter.child(this.ref, key), def = defer();
+      var local = this.optimistic && localValue !== undefined;
+      this.queue.push(write);
+      if( this.persistWrites ) { this._scheduleSave(); }
+      this.pending[key] = (this.pending[key] || 0) + 1;
+      if( local ) {
+        this._writeLocal(key, localValue);
+      }
+      else {
+        this._setMeta(key, { $pending: true });
+      }
+      function settle(err) {
+        self.queue.splice(self.queue.indexOf(write), 1);
+        if( err && write.forget ) { write.forget(); }
+        if( self.persistWrites ) { self._scheduleSave(); }
+        if( --self.pending[key] === 0 ) {
+          delete self.pending[key];
+        }
+        if( local ) {
+          self._settleLocal(key, err);
+        }
+        self._setMeta(key, { $pending: self.pending[key]? true : undefined, $error: err || undefined });
+      }
+      try {
+        fn(function(err) {
+          settle(err);
+          if( err ) {
+            self._handleErrors(key, err);
+            def.reject(err);
+          }
+          else {
+            def.resolve(ref);
+          }
+        }, ref);
+      }
+      catch(e) {
+        // invalid data throws before anything is sent to the server
+        settle(e);
+        return rejected(e);
+      }
+      return def.promise;
+    },
+
+    _versionedWrite: function(write, value) {
+      // with the versionField option, sets and updates are made with a transaction which only commits if the
+      // server still has the version of the record which the write was based on; while this client's own
+      // earlier writes to the record are outstanding, that is the version the last of them gives it
+      var self = this, key = write.key, base = parseForJson(this.getRecord(key)), chain = this.versions[key];
+      if( chain ) {
+        base = extend({}, isObject(base)? base : {});
+        base[this.versionField] = chain.version;
+      }
+      chain = this.versions[key] = chain || { version: undefined, count: 0 };
+      chain.count++;
+      function release() {
+        if( --chain.count === 0 ) { delete self.versions[key]; }
+      }
+      return this._write(write, function(cb, ref) {
+        try {
+          self._commitVersion(key, ref, value, base, function(err) {
+            release();
+            cb(err);
+          });
+        }
+        catch(e) {
+          release();
+          throw e;
+        }
+      }, value);
+    },
+
+    _commitVersion: function(key, ref, value, base, cb) {
+      var self = this, field = this.versionField, remote = null, next = this._nextVersion(value, base);
+      if( this.versions[key] ) {
+        this.versions[key].version = versionOf(next, field);
+      }
+      this.adapter.transaction(ref, function(current) {
+        remote = current;
+        if( versionOf(current, field) !== versionOf(base, field) ) {
+          return undefined;
+        }
+        return next;
+      }, function(err, committed) {
+        if( err || committed ) {
+          cb(err || null);
+        }
+        else {
+          self._conflict(key, ref, value, base, remote, cb);
+        }
+      });
+    },
+
+    _nextVersion: function(value, base) {
+      var field = this.versionField, prev = versionOf(base, field), next = value;
+      if( isObject(value) ) {
+        next = extend({}, value);
+        next[field] = this.opts.nextVersion? this.opts.nextVersion(prev) : (prev || 0) + 1;
+      }
+      return next;
+    },
+
+    _conflict: function(key, ref, value, base, remote, cb) {
+      // the record changed on the server since the write was made; a conflict listener decides which
+      // value is kept, and the write's promise settles once it has
+      var self = this, resolved = false;
+      function acceptRemote() {
+        // optimistic writes are rolled back to the server's current value, rather than to the base
+        if( self.optimistic ) {
+          var prev = self.confirmed[key];
+          if( remote === null ) { delete self.confirmed[key]; }
+          else { self.confirmed[key] = { value: copy(remote), priority: prev? prev.priority : null }; }
+        }
+      }
+      if( !this.events.has('conflict') ) {
+        var err = new Error('The record ' + key + ' was changed on the server since it was loaded');
+        err.code = 'conflict';
+        acceptRemote();
+        cb(err);
+        return;
+      }
+      this._handleEvent('conflict', key, {
+        local: copy(value),
+        base: copy(base),
+        remote: copy(remote),
+        resolve: function(choice, merged) {
+          if( resolved ) {
+            throw new Error('The conflict for ' + key + ' was already resolved');
+          }
+          if( choice === 'theirs' ) {
+            resolved = true;
+            acceptRemote();
+            if( self.optimistic ) { self._rollback(key); }
+            cb(null);
+          }
+          else if( choice === 'mine' || choice === 'merge' ) {
+            var next = choice === 'merge'? self._serialize(merged) : value;
+            resolved = true;
+            if( choice === 'merge' && self.optimistic ) {
+              self._writeLocal(key, next);
+            }
+            self._commitVersion(key, ref, next, remote, cb);
+          }
+          else {
+            throw new Error('Invalid choice ' + choice + '; must be one of: mine, theirs, merge');
+          }
+        }
+      });
+    },
+
+    _writeLocal: function(key, value) {
+      // applies a write to the array before the server acknowledges it (see the `optimistic` option)
+      var pos = this.posByKey(key);
+      if( value === null ) {
+        this.removedAt[key] = pos;
+        this._handleEvent('child_removed', key, this._removeAt(pos));
+      }
+      else if( pos === -1 ) {
+        var data = this._createRecord(key, copy(value), null);
+        data.$pending = true;
+        this._moveTo(key, data);
+        this._handleEvent('child_added', key, data);
+      }
+      else {
+        var rec = this._updateRecord(pos, parseVal(key, copy(value)));
+        rec.$pending = true;
+        this._handleEvent('child_changed', key, rec);
+        this._resort(key);
+      }
+    },
+
+    _settleLocal: function(key, err) {
+      if( err ) {
+        this._rollback(key);
+      }
+      else if( !this.pending[key] ) {
+        // the value we wrote is now what the server has
+        var rec = this.getRecord(key);
+        this._confirm(key, parseForJson(rec), rec? rec.$priority : null);
+      }
+    },
+
+    _setMeta: function(key, fields) {
+      // sets (or, when undefined, deletes) local fields such as $pending and $error; these do not trigger
+      // events, except in immutable mode where the record is replaced
+      var pos = this.posByKey(key), rec = this.list[pos], field;
+      if( pos === -1 || Object.keys(fields).every(function(f) { return rec[f] === fields[f]; }) ) {
+        return;
+      }
+      if( this.immutable ) {
+        rec = this.list[pos] = this._copyRecord(rec);
+      }
+      for(field in fields) {
+        if( fields[field] === undefined ) {
+          delete rec[field];
+        }
+        else {
+          rec[field] = fields[field];
+        }
+      }
+      if( this.immutable ) { this._handleEvent('child_changed', key, rec); }
+    },
+
+    _rollback: function(key) {
+      // restores the last value the server confirmed, undoing any optimistic writes
+      var pos = this.posByKey(key), confirmed = this.confirmed[key], data;
+      if( pos === -1 && confirmed ) {
+        data = this._createRecord(key, copy(confirmed.value), confirmed.priority);
+        if( this.comparator ) {
+          this._moveTo(key, data);
+        }
+        else {
+          this._insertAt(Math.min(this.removedAt[key], this.list.length), data);
+        }
+        this._handleEvent('child_added', key, data);
+      }
+      else if( pos !== -1 && !confirmed ) {
+        this._handleEvent('child_removed', key, this._removeAt(pos));
+      }
+      else if( pos !== -1 ) {
+        data = parseVal(key, copy(confirmed.value), confirmed.priority);
+        this._handleEvent('child_changed', key, this._updateRecord(pos, data));
+        this._resort(key);
+      }
+      delete this.removedAt[key];
+    },
+
+    _confirm: function(key, value, priority) {
+      // records the server's value and priority, which optimistic writes are rolled back to if they fail
+      if( this.optimistic && !this.pending[key] ) {
+        if( value === null ) {
+          delete this.confirmed[key];
+        }
+        else {
+          this.confirmed[key] = { value: copy(value), priority: priority };
+        }
+      }
+    },
+
+    _handleErrors: function(key, err) {
+      if( err ) {
+        this._handleEvent('error', null, key);
+        console.error(err);
+      }
+    },
+
+    _handleEvent: function(eventType, recordId, data) {
+      // console.log(eventType, recordId);
+      var args = [recordId, data], isChild = eventType.indexOf('child_') === 0;
+      var batched = isChild && this.batchWindow !== null;
+      if( isChild && this.storage ) {
+        this._scheduleSave();
+      }
+      if( this.immutable ) {
+        if( isChild ) {
+          this.snapshot = null;
+        }
+        // the list is only copied for events someone listens to, rather than once for every record loaded
+        if( this.events.has(eventType) || (!batched && this.events.has('change')) ) {
+          args.push(this.getSnapshot());
+        }
+      }
+      if( batched ) {
+        // change listeners are notified once per batch instead
+        this._batchChange(eventType, recordId);
+        this.events.trigger(eventType, args, true);
+      }
+      else {
+        if( this.batch ) { this._flushBatch(); }
+        this.events.trigger(eventType, args);
+      }
+    },
+
+    _openBatch: function() {
+      if( !this.batch ) {
+        this.batch = { splices: [], changes: {} };
+        this.batchTimer = setTimeout(this._flushBatch.bind(this), this.batchWindow);
+      }
+      return this.batch;
+    },
+
+    _batchSplice: function(index, removed, added) {
+      // each splice carries the records it added, since later splices may move them in the array; consecutive
+      // inserts and removes at the end of the previous splice are merged into it, so that the initial load, for
+      // example, is a single splice
+      var splices = this._openBatch().splices, last = splices[splices.length - 1];
+      if( !last || index !== last.index + last.addedCount ) {
+        last = { index: index, removed: [], added: [], addedCount: 0 };
+        splices.push(last);
+      }
+      if( removed ) {
+        last.removed.push(removed);
+      }
+      else {
+        last.added.push(added);
+        last.addedCount++;
+      }
+    },
+
+    _batchChange: function(eventType, key) {
+      // each key is reported once, with the net effect of its events
+      var changes = this._openBatch().changes, prev = changes[key];
+      if( prev === 'child_added' && eventType === 'child_removed' ) {
+        delete changes[key];
+      }
+      else if( prev === 'child_removed' && eventType === 'child_added' ) {
+        changes[key] = 'child_changed';
+      }
+      else if( !prev || eventType === 'child_removed' ||
+          (prev === 'child_moved' && eventType === 'child_changed') ) {
+        changes[key] = eventType;
+      }
+    },
+
+    _flushBatch: function() {
+      var batch = this.batch;
+      clearTimeout(this.batchTimer);
+      this.batch = null;
+      if( batch ) {
+        if( this.immutable ) { batch.snapshot = this.getSnapshot(); }
+        this.events.trigger('batch', [batch]);
+      }
+    },
+
+    _wrapList: function() {
+      this.list.$indexOf = this.posByKey.bind(this);
+      this.list.$findBy = this.findBy.bind(this);
+      this.list.$findOneBy = this.findOneBy.bind(this);
+      this.list.$add = this.add.bind(this);
+      this.list.$remove = this.remove.bind(this);
+      this.list.$set = this.set.bind(this);
+      this.list.$update = this.update.bind(this);
+      this.list.$move = this.setPriority.bind(this);
+      this.list.$moveTo = this.moveTo.bind(this);
+      this.list.$moveBefore = this.moveBefore.bind(this);
+      this.list.$moveAfter = this.moveAfter.bind(this);
+      this.list.$transaction = this.transaction.bind(this);
+      this.list.$rawData = function(key) {
+        var rec = this.getRecord(key);
+        return withPriority(this._serialize(rec), rec && rec.$priority);
+      }.bind(this);
+      this.list.$loaded = this.loaded.bind(this);
+      this.list.$on = this.on.bind(this);
+      this.list.$off = this.off.bind(this);
+      this.list.$setWindow = this.setWindow.bind(this);
+      this.list.$loadMore = this.loadMore.bind(this);
+      this.list.$filter = this.filter.bind(this);
+      this.list.$map = this.map.bind(this);
+      this.list.$aggregate = this.aggregate.bind(this);
+      this.list.$groupBy = this.groupBy.bind(this);
+      this.list.$search = this.search.bind(this);
+      this.list.$snapshot = this.getSnapshot.bind(this);
+      this.list.$pendingWrites = this.pendingWrites.bind(this);
+      this.list.$undo = this.undo.bind(this);
+      this.list.$redo = this.redo.bind(this);
+      this.list.$canUndo = this.canUndo.bind(this);
+      this.list.$canRedo = this.canRedo.bind(this);
+      this.list.$group = this.group.bind(this);
+      this.list.$batch = this.batchWrites.bind(this);
+      this.list.$commit = this.commit.bind(this);
+    },
+
+    _initListeners: function() {
+      this._monit('child_added', this._serverAdd);
+      this._monit('child_removed', this._serverRemove);
+      this._monit('child_changed', this._serverChange);
+      this._monit('child_moved', this._serverMove);
+      this._monit('value', this._serverLoaded);
+    },
+
+    _monit: function(event, method) {
+      var cancel = this._serverCancel.bind(this);
+      this.subs.push([event, this.adapter.on(this.query, event, method.bind(this), cancel)]);
+    },
+
+    _unmonit: function(event) {
+      var adapter = this.adapter, query = this.query;
+      this.subs = this.subs.filter(function(s) {
+        if( s[0] === event ) {
+          adapter.off(query, s[0], s[1]);
+          return false;
+        }
+        return true;
+      });
+    }
+  };
+
+  /**
+   * A read-only array created by $filter or $map, which is kept in sync with its source (a synchronized array, or
+   * another derived array) as records are added, removed, changed and moved there, and triggers the same events.
+   *
+   * @param {ReadOnlySynchronizedArray|DerivedArray} source
+   * @param {Function} fn the predicate for $filter or the mapping function for $map, invoked with (record, key)
+   * @param {boolean} isMap
+   * @constructor
+   */
+  function DerivedArray(source, fn, isMap) {
+    this.source = source;
+    this.fn = fn;
+    this.isMap = isMap;
+    this.list = [];
+    this.keys = []; // the record ids, since mapped values do not have an $id
+    this.keyIndex = Object.create(null);
+    this.derived = [];
+    this.searchIndexes = {};
+    this.events = new EventEmitter(EVENT_TYPES);
+    this.handlers = {
+      child_added: this._sourceAdd.bind(this),
+      child_removed: this._sourceRemove.bind(this),
+      child_changed: this._sourceChange.bind(this),
+      child_moved: this._sourceMove.bind(this),
+      loaded: this._sourceLoaded.bind(this)
+    };
+    for(var event in this.handlers) {
+      source.events.subscribe(event, this.handlers[event]);
+    }
+    for(var i = 0, len = source.list.length; i < len; i++) {
+      this._sourceAdd(source.keyAt(i), source.list[i]);
+    }
+    this._wrapList();
+  }
+
+  DerivedArray.prototype = {
+    posByKey: ReadOnlySynchronizedArray.prototype.posByKey,
+
+    on: ReadOnlySynchronizedArray.prototype.on,
+
+    off: ReadOnlySynchronizedArray.prototype.off,
+
+    filter: ReadOnlySynchronizedArray.prototype.filter,
+
+    map: ReadOnlySynchronizedArray.prototype.map,
+
+    aggregate: ReadOnlySynchronizedArray.prototype.aggregate,
+
+    groupBy: ReadOnlySynchronizedArray.prototype.groupBy,
+
+    search: ReadOnlySynchronizedArray.prototype.search,
+
+    keyAt: function(pos) {
+      return this.keys[pos];
+    },
+
+    dispose: function() {
+      var source = this.source, i = source.derived.indexOf(this);
+      for(var event in this.handlers) {
+        source.events.unsubscribe(event, this.handlers[event]);
+      }
+      // when it was already disposed, it is no longer among the source's views
+      if( i !== -1 ) { source.derived.splice(i, 1); }
+      this.events.off();
+      this.derived.slice().forEach(function(d) {
+        d.dispose();
+      });
+    },
+
+    _sourceAdd: function(key, rec) {
+      if( this.isMap ) {
+        this._insertAt(this.source.posByKey(key), key, this.fn(rec, key));
+        this.events.trigger('child_added', [key, this.list[this.posByKey(key)]]);
+      }
+      else if( this.fn(rec, key) ) {
+        this._insertAt(this._placeFor(key), key, rec);
+        this.events.trigger('child_added', [key, rec]);
+      }
+    },
+
+    _sourceRemove: function(key) {
+      var pos = this.posByKey(key);
+      if( pos !== -1 ) {
+        this.events.trigger('child_removed', [key, this._removeAt(pos)]);
+      }
+    },
+
+    _sourceChange: function(key, rec) {
+      var pos = this.posByKey(key);
+      if( this.isMap ) {
+        this.list[pos] = this.fn(rec, key);
+        this.events.trigger('child_changed', [key, this.list[pos]]);
+      }
+      else if( this.fn(rec, key) ) {
+        if( pos === -1 ) {
+          this._insertAt(this._placeFor(key), key, rec);
+          this.events.trigger('child_added', [key, rec]);
+        }
+        else {
+          // the record may be a new object (see the `immutable` option)
+          this.list[pos] = rec;
+          this.events.trigger('child_changed', [key, rec]);
+        }
+      }
+      else if( pos !== -1 ) {
+        this.events.trigger('child_removed', [key, this._removeAt(pos)]);
+      }
+    },
+
+    _sourceMove: function(key) {
+      var pos = this.posByKey(key);
+      if( pos !== -1 ) {
+        var item = this._removeAt(pos), source = this.source;
+        if( !this.isMap ) {
+          // in immutable mode the moved record is a new object
+          item = source.list[source.posByKey(key)];
+        }
+        this._insertAt(this.isMap? source.posByKey(key) : this._placeFor(key), key, item);
+        if( this.posByKey(key) !== pos ) {
+          this.events.trigger('child_moved', [key, item]);
+        }
+      }
+    },
+
+    _sourceLoaded: function() {
+      this.events.trigger('loaded', [null, this.list]);
+    },
+
+    _placeFor: function(key) {
+      // filtered records keep the order of the source, so their positions there are ascending
+      var source = this.source, srcPos = source.posByKey(key), lo = 0, hi = this.keys.length;
+      while( lo < hi ) {
+        var mid = Math.floor((lo + hi) / 2);
+        if( source.posByKey(this.keys[mid]) > srcPos ) {
+          hi = mid;
+        }
+        else {
+          lo = mid + 1;
+        }
+      }
+      return lo;
+    },
+
+    _insertAt: function(pos, key, item) {
+      this.list.splice(pos, 0, item);
+      this.keys.splice(pos, 0, key);
+      this._reindex(pos);
+    },
+
+    _removeAt: function(pos) {
+      delete this.keyIndex[this.keys[pos]];
+      this.keys.splice(pos, 1);
+      var item = this.list.splice(pos, 1)[0];
+      this._reindex(pos);
+      return item;
+    },
+
+    _reindex: function(start) {
+      for(var i = start, len = this.keys.length; i < len; i++) {
+        this.keyIndex[this.keys[i]] = i;
+      }
+    },
+
+    _wrapList: function() {
+      this.list.$indexOf = this.posByKey.bind(this);
+      this.list.$on = this.on.bind(this);
+      this.list.$off = this.off.bind(this);
+      this.list.$filter = this.filter.bind(this);
+      this.list.$map = this.map.bind(this);
+      this.list.$aggregate = this.aggregate.bind(this);
+      this.list.$groupBy = this.groupBy.bind(this);
+      this.list.$search = this.search.bind(this);
+    }
+  };
+
+  function derive(source, fn, isMap) {
+    var d = new DerivedArray(source, fn, isMap);
+    source.derived.push(d);
+    return d.list;
+  }
+
+  var AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+  /**
+   * The live object returned by $aggregate. Each record's contribution to the totals is kept, so that when it is
+   * added, removed or changed only its own values are added or subtracted; min and max are only searched for again
+   * when the record holding them goes away. The `change` event is triggered with (result, names) when any value
+   * moves.
+   */
+  function Aggregate(source, spec) {
+    Object.keys(spec).forEach(function(name) {
+      if( AGGREGATES.indexOf(name) === -1 ) {
+        throw new Error('Invalid aggregate ' + name + '; must be one of: ' + AGGREGATES.join(', '));
+      }
+    });
+    this.source = source;
+    this.spec = spec;
+    this.values = Object.create(null); // the value each record contributes to each aggregate, by key
+    this.totals = {};
+    this.result = {};
+    this.events = new EventEmitter([]);
+    this.handlers = {
+      child_added: this._sourceAdd.bind(this),
+      child_removed: this._sourceRemove.bind(this),
+      child_changed: this._sourceChange.bind(this)
+    };
+    for(var name in spec) {
+      this.totals[name] = { n: 0, sum: 0, extreme: null, stale: false };
+    }
+    for(var event in this.handlers) {
+      source.events.subscribe(event, this.handlers[event]);
+    }
+    for(var i = 0, len = source.list.length; i < len; i++) {
+      this._include(source.keyAt(i), source.list[i]);
+    }
+    this._refresh();
+    this.result.$on = this.on.bind(this);
+    this.result.$off = this.off.bind(this);
+  }
+
+  Aggregate.prototype = {
+    on: ReadOnlySynchronizedArray.prototype.on,
+
+    off: ReadOnlySynchronizedArray.prototype.off,
+
+    dispose: function() {
+      var i = this.source.derived.indexOf(this);
+      for(var event in this.handlers) {
+        this.source.events.unsubscribe(event, this.handlers[event]);
+      }
+      if( i !== -1 ) { this.source.derived.splice(i, 1); }
+      this.events.off();
+    },
+
+    _sourceAdd: function(key, rec) {
+      this._include(key, rec);
+      this._refresh();
+    },
+
+    _sourceRemove: function(key) {
+      this._exclude(key);
+      this._refresh();
+    },
+
+    _sourceChange: function(key, rec) {
+      this._exclude(key);
+      this._include(key, rec);
+      this._refresh();
+    },
+
+    _include: function(key, rec) {
+      var values = this.values[key] = {}, name, value, t;
+      for(name in this.spec) {
+        value = values[name] = this._valueOf(name, rec, key);
+        if( value === undefined ) { continue; }
+        t = this.totals[name];
+        t.n++;
+        t.sum += value;
+        if( t.extreme === null || (name === 'min'? value < t.extreme : value > t.extreme) ) {
+          t.extreme = value;
+        }
+      }
+    },
+
+    _exclude: function(key) {
+      var values = this.values[key], name, t;
+      if( !values ) { return; }
+      delete this.values[key];
+      for(name in values) {
+        if( values[name] === undefined ) { continue; }
+        t = this.totals[name];
+        t.n--;
+        t.sum -= values[name];
+        if( values[name] === t.extreme ) { t.stale = true; }
+      }
+    },
+
+    _valueOf: function(name, rec, key) {
+      // count includes every record (or those which have the field given); the others only use numbers
+      var field = this.spec[name], value = field === true? 1 : fieldOf(rec, field, key);
+      if( name === 'count' ) {
+        return value === null || value === undefined? undefined : 1;
+      }
+      return typeof(value) === 'number' && isFinite(value)? value : undefined;
+    },
+
+    _refresh: function() {
+      var changed = [], name, t, value;
+      for(name in this.spec) {
+        t = this.totals[name];
+        if( t.stale ) { this._rescan(name); }
+        // the sum is restarted once it is empty, so rounding errors do not build up
+        if( !t.n ) { t.sum = 0; t.extreme = null; }
+        value = name === 'count'? t.n : name === 'sum'? t.sum :
+          name === 'avg'? (t.n? t.sum / t.n : null) : t.extreme;
+        if( this.result[name] !== value ) {
+          this.result[name] = value;
+          changed.push(name);
+        }
+      }
+      if( changed.length ) {
+        this.events.trigger('change', [this.result, changed], true);
+      }
+    },
+
+    _rescan: function(name) {
+      var t = this.totals[name], values = this.values, key, value;
+      t.extreme = null;
+      t.stale = false;
+      for(key in values) {
+        value = values[key][name];
+        if( value !== undefined &&
+            (t.extreme === null || (name === 'min'? value < t.extreme : value > t.extreme)) ) {
+          t.extreme = value;
+        }
+      }
+    }
+  };
+
+  /**
+   * The live map returned by $groupBy, from each value of a field to an array of the records which have it, in the
+   * order of the source. Only the groups a change affects are updated, and the `change` event is triggered with
+   * (map, groups) naming them. Records without the field are left out, and empty groups are removed.
+   */
+  function Grouping(source, field) {
+    this.source = source;
+    this.field = field;
+    // the map has no Object.prototype, so that groups such as `toString` or `__proto__` are plain groups, and
+    // $on and $off are inherited rather than own properties, so that they are not among the groups either
+    this.map = Object.create(Object.create(null, {
+      $on: { value: this.on.bind(this) },
+      $off: { value: this.off.bind(this) }
+    }));
+    // the keys of the records in each group, since mapped values do not have an $id
+    this.keys = Object.create(null);
+    this.groupOf = Object.create(null); // the group each record is in, by key
+    this.events = new EventEmitter([]);
+    this.handlers = {
+      child_added: this._sourceAdd.bind(this),
+      child_removed: this._sourceRemove.bind(this),
+      child_changed: this._sourceChange.bind(this),
+      child_moved: this._sourceMove.bind(this)
+    };
+    for(var event in this.handlers) {
+      source.events.subscribe(event, this.handlers[event]);
+    }
+    for(var i = 0, len = source.list.length; i < len; i++) {
+      this._insert(source.keyAt(i), source.list[i]);
+    }
+  }
+
+  Grouping.prototype = {
+    on: ReadOnlySynchronizedArray.prototype.on,
+
+    off: ReadOnlySynchronizedArray.prototype.off,
+
+    dispose: Aggregate.prototype.dispose,
+
+    _sourceAdd: function(key, rec) {
+      this._changed([this._insert(key, rec)]);
+    },
+
+    _sourceRemove: function(key) {
+      this._changed([this._delete(key)]);
+    },
+
+    _sourceChange: function(key, rec) {
+      var group = this.groupOf[key], items = this.map[group], next = this._groupFor(rec, key);
+      if( group !== undefined && group === next ) {
+        // the record stays in its group, but may be a new object (see the `immutable` option)
+        items[this.keys[group].indexOf(key)] = rec;
+        this._changed([group]);
+      }
+      else {
+        this._changed([this._delete(key), this._insert(key, rec)]);
+      }
+    },
+
+    _sourceMove: function(key, rec) {
+      var group = this.groupOf[key];
+      if( group !== undefined ) {
+        this._delete(key);
+        this._changed([this._insert(key, rec)]);
+      }
+    },
+
+    _groupFor: function(rec, key) {
+      var value = fieldOf(rec, this.field, key);
+      return value === null || value === undefined? undefined : String(value);
+    },
+
+    _insert: function(key, rec) {
+      // returns the record's group, where it is placed by its position in the source
+      var group = this._groupFor(rec, key), source = this.source, keys, srcPos, lo = 0, hi, mid;
+      if( group === undefined ) { return undefined; }
+      if( !this.keys[group] ) {
+        this.map[group] = [];
+        this.keys[group] = [];
+      }
+      keys = this.keys[group];
+      srcPos = source.posByKey(key);
+      hi = keys.length;
+      while( lo < hi ) {
+        mid = Math.floor((lo + hi) / 2);
+        if( source.posByKey(keys[mid]) > srcPos ) {
+          hi = mid;
+        }
+        else {
+          lo = mid + 1;
+        }
+      }
+      this.map[group].splice(lo, 0, rec);
+      keys.splice(lo, 0, key);
+      this.groupOf[key] = group;
+      return group;
+    },
+
+    _delete: function(key) {
+      // returns the group the record was removed from
+      var group = this.groupOf[key], keys = this.keys[group], pos;
+      if( group === undefined ) { return undefined; }
+      pos = keys.indexOf(key);
+      this.map[group].splice(pos, 1);
+      keys.splice(pos, 1);
+      if( !keys.length ) {
+        delete this.map[group];
+        delete this.keys[group];
+      }
+      delete this.groupOf[key];
+      return group;
+    },
+
+    _changed: function(groups) {
+      groups = groups.filter(function(group, i) {
+        return group !== undefined && groups.indexOf(group) === i;
+      });
+      if( groups.length ) {
+        this.events.trigger('change', [this.map, groups], true);
+      }
+    }
+  };
+
+  /**
+   * The inverted index used by $search, from each word in the given fields (or in every string field) to the
+   * records containing it and how often. The words are also kept in sorted order, so that those starting with a
+   * prefix can be found without going through all of them. Each record's words are kept as well, so that when it
+   * changes or is removed only its own entries are taken out. The `change` event is triggered with the keys of the
+   * records changed.
+   */
+  function SearchIndex(source, id, fields) {
+    this.source = source;
+    this.id = id;
+    this.fields = fields;
+    this.postings = Object.create(null); // the records containing each word, as {keys: {key: count}, n}
+    this.words = []; // the words in this.postings, sorted
+    this.wordsOf = Object.create(null); // the words in each record, with their counts, by key
+    this.size = 0;
+    this.derived = []; // the live results of searches, see SearchResults
+    this.events = new EventEmitter([]);
+    this.handlers = {
+      child_added: this._sourceAdd.bind(this),
+      child_removed: this._sourceRemove.bind(this),
+      child_changed: this._sourceChange.bind(this),
+      child_moved: this._sourceMove.bind(this)
+    };
+    for(var event in this.handlers) {
+      source.events.subscribe(event, this.handlers[event]);
+    }
+    for(var i = 0, len = source.list.length; i < len; i++) {
+      this._include(source.keyAt(i), source.list[i]);
+    }
+  }
+
+  SearchIndex.prototype = {
+    dispose: function() {
+      Aggregate.prototype.dispose.call(this);
+      delete this.source.searchIndexes[this.id];
+      this.derived.slice().forEach(function(d) {
+        d.dispose();
+      });
+    },
+
+    search: function(query) {
+      // every word of the query must start a word of the record; records are ranked by how rare the words they
+      // matched are, how often they contain them and how much of each word was typed, then by their positions
+      var self = this, source = this.source, scores = null;
+      tokenize(query).forEach(function(token, i, tokens) {
+        if( tokens.indexOf(token) !== i ) { return; }
+        var matched = self._match(token), key;
+        for(key in matched) {
+          if( scores === null ) { continue; }
+          if( key in scores ) { matched[key] += scores[key]; }
+          else { delete matched[key]; }
+        }
+        scores = matched;
+      });
+      return Object.keys(scores || {}).sort(function(a, b) {
+        return scores[b] - scores[a] || source.posByKey(a) - source.posByKey(b);
+      }).map(function(key) {
+        return source.list[source.posByKey(key)];
+      });
+    },
+
+    _match: function(token) {
+      // the best score of each record for the words starting with token
+      var matched = Object.create(null), words = this.words, i = sortedIndex(words, token), word, p, weight, key;
+      for(; i < words.length && words[i].lastIndexOf(token, 0) === 0; i++) {
+        word = words[i];
+        p = this.postings[word];
+        weight = Math.log(1 + this.size / p.n) * token.length / word.length;
+        for(key in p.keys) {
+          matched[key] = Math.max(matched[key] || 0, p.keys[key] * weight);
+        }
+      }
+      return matched;
+    },
+
+    _sourceAdd: function(key, rec) {
+      this._include(key, rec);
+      this.events.trigger('change', [[key]], true);
+    },
+
+    _sourceRemove: function(key) {
+      this._exclude(key);
+      this.events.trigger('change', [[key]], true);
+    },
+
+    _sourceChange: function(key, rec) {
+      this._exclude(key);
+      this._include(key, rec);
+      this.events.trigger('change', [[key]], true);
+    },
+
+    _sourceMove: function(key) {
+      // the words are the same, but records which rank the same are ordered by position
+      this.events.trigger('change', [[key]], true);
+    },
+
+    _include: function(key, rec) {
+      // the items of a $map may be anything, and only objects are searched
+      var counts = this.wordsOf[key] = Object.create(null), word, p;
+      var fields = !isObject(rec)? [] : this.fields || Object.keys(rec);
+      fields.forEach(function(field) {
+        var value = rec[field];
+        if( typeof(value) !== 'string' || (!this.fields && field.charAt(0) === '$') ) { return; }
+        tokenize(value).forEach(function(word) {
+          counts[word] = (counts[word] || 0) + 1;
+        });
+      }, this);
+      for(word in counts) {
+        p = this.postings[word];
+        if( !p ) {
+          p = this.postings[word] = { keys: Object.create(null), n: 0 };
+          this.words.splice(sortedIndex(this.words, word), 0, word);
+        }
+        p.keys[key] = counts[word];
+        p.n++;
+      }
+      this.size++;
+    },
+
+    _exclude: function(key) {
+      var counts = this.wordsOf[key], word, p;
+      if( !counts ) { return; }
+      delete this.wordsOf[key];
+      for(word in counts) {
+        p = this.postings[word];
+        delete p.keys[key];
+        if( !--p.n ) {
+          delete this.postings[word];
+          this.words.splice(sortedIndex(this.words, word), 1);
+        }
+      }
+      this.size--;
+    }
+  };
+
+  /**
+   * The live array returned by $search with the `live` option. The query is run again whenever the index changes,
+   * and the `change` event is triggered with the array if its records or their order changed.
+   */
+  function SearchResults(index, query) {
+    this.source = index;
+    this.query = query;
+    this.list = index.search(query);
+    this.events = new EventEmitter([]);
+    this.handlers = { change: this._refresh.bind(this) };
+    index.events.subscribe('change', this.handlers.change);
+    index.derived.push(this);
+    this.list.$on = this.on.bind(this);
+    this.list.$off = this.off.bind(this);
+  }
+
+  SearchResults.prototype = {
+    on: ReadOnlySynchronizedArray.prototype.on,
+
+    off: ReadOnlySynchronizedArray.prototype.off,
+
+    dispose: function() {
+      var i = this.source.derived.indexOf(this);
+      this.source.events.unsubscribe('change', this.handlers.change);
+      if( i !== -1 ) { this.source.derived.splice(i, 1); }
+      this.events.off();
+    },
+
+    _refresh: function() {
+      var list = this.list, recs = this.source.search(this.query);
+      var same = recs.length === list.length && recs.every(function(rec, i) { return rec === list[i]; });
+      if( !same ) {
+        list.splice.apply(list, [0, list.length].concat(recs));
+        this.events.trigger('change', [list], true);
+      }
+    }
+  };
+
+  function tokenize(text) {
+    return String(text).toLowerCase().split(TOKEN_SEPARATOR).filter(Boolean);
+  }
+
+  function sortedIndex(words, word) {
+    var lo = 0, hi = words.length, mid;
+    while( lo < hi ) {
+      mid = Math.floor((lo + hi) / 2);
+      if( words[mid] < word ) {
+        lo = mid + 1;
+      }
+      else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+
+  function makeIndexes(fields) {
+    // the `indexes` option lists field names, or {field, unique} objects
+    return fields.reduce(function(indexes, f) {
+      var field = typeof(f) === 'string'? f : f.field;
+      indexes[field] = { unique: !!f.unique, values: Object.create(null) };
+      return indexes;
+    }, {});
+  }
+
+  function indexKey(value) {
+    // the key a value is indexed under; the type is included so that 1 and '1' are told apart, and only strings,
+    // numbers and booleans are indexed
+    var type = typeof(value);
+    return type === 'string' || type === 'number' || type === 'boolean'? type + ':' + value : null;
+  }
+
+  function fieldOf(rec, field, key) {
+    // a field name, or a function which computes the value from the record; the items of a $map may not be
+    // objects, and have no fields
+    if( typeof(field) === 'function' ) {
+      return field(rec, key);
+    }
+    return isObject(rec)? rec[field] : undefined;
+  }
+
+  function extend(dest) {
+    // defined ahead of the adapters, which use it as the module loads
+    for(var i = 1; i < arguments.length; i++) {
+      for(var key in arguments[i]) {
+        if( arguments[i].hasOwnProperty(key) ) {
+          dest[key] = arguments[i][key];
+        }
+      }
+    }
+    return dest;
+  }
+
+  /**
+   * Adapters translate between the synchronized array and a particular version of the Firebase SDK. The legacy
+   * API identifies records with name(), the namespaced API (v2 through v8) with key, and the modular API (v9+)
+   * replaces the methods on refs with functions, which must be provided with the `sdk` option.
+   */
+  var ADAPTERS = {
+    legacy: {
+      key: function(refOrSnap) { return refOrSnap.name(); },
+      priority: function(snap) { return snap.getPriority(); },
+      refOf: function(query) { return typeof(query.ref) === 'function'? query.ref() : query; },
+      child: function(ref, key) { return ref.child(key); },
+      push: function(ref) { return ref.push(); },
+      set: function(ref, data, cb) { ref.set(data, cb); },
+      update: function(ref, data, cb) { ref.update(data, cb); },
+      setPriority: function(ref, priority, cb) { ref.setPriority(priority, cb); },
+      remove: function(ref, cb) { ref.remove(cb); },
+      transaction: function(ref, fn, cb) { ref.transaction(fn, cb); },
+      on: function(query, event, fn, cancel) { return query.on(event, fn, cancel); },
+      off: function(query, event, handle) { query.off(event, handle); },
+      limit: function(query, limit) { return query.limit(limit); },
+      startAt: function(query, priority, key) { return query.startAt(priority, key); },
+      endAt: function(query, priority, key) { return query.endAt(priority, key); }
+    }
+  };
+
+  ADAPTERS.namespaced = extend({}, ADAPTERS.legacy, {
+    // key() was a method in v2 and became a property in v3
+    key: function(refOrSnap) { return typeof(refOrSnap.key) === 'function'? refOrSnap.key() : refOrSnap.key; },
+    refOf: function(query) {
+      var ref = typeof(query.ref) === 'function'? query.ref() : query.ref;
+      return ref || query;
+    },
+    limit: function(query, limit) { return query.limitToLast(limit); }
+  });
+
+  function modularAdapter(sdk) {
+    var listeners = {
+      child_added: sdk.onChildAdded,
+      child_removed: sdk.onChildRemoved,
+      child_changed: sdk.onChildChanged,
+      child_moved: sdk.onChildMoved,
+      value: sdk.onValue
+    };
+    function callbackFor(promise, cb) {
+      promise.then(function() { cb(null); }, cb);
+    }
+    return extend({}, ADAPTERS.namespaced, {
+      priority: function(snap) { return snap.priority; },
+      child: function(ref, key) { return sdk.child(ref, key); },
+      push: function(ref) { return sdk.push(ref); },
+      set: function(ref, data, cb) { callbackFor(sdk.set(ref, data), cb); },
+      update: function(ref, data, cb) { callbackFor(sdk.update(ref, data), cb); },
+      setPriority: function(ref, priority, cb) { callbackFor(sdk.setPriority(ref, priority), cb); },
+      remove: function(ref, cb) { callbackFor(sdk.remove(ref), cb); },
+      transaction: function(ref, fn, cb) {
+        sdk.runTransaction(ref, fn).then(function(res) { cb(null, res.committed, res.snapshot); }, cb);
+      },
+      // the modular listeners return a function which unsubscribes them
+      on: function(query, event, fn, cancel) { return listeners[event](query, fn, cancel); },
+      off: function(query, event, unsubscribe) { unsubscribe(); },
+      limit: function(query, limit) { return sdk.query(query, sdk.limitToLast(limit)); },
+      startAt: function(query, priority, key) { return sdk.query(query, sdk.startAt(priority, key)); },
+      endAt: function(query, priority, key) { return sdk.query(query, sdk.endAt(priority, key)); }
+    });
+  }
+
+  function getAdapter(ref, opts) {
+    var adapter = opts.adapter;
+    if( adapter === 'modular' || (!adapter && opts.sdk) ) {
+      if( !opts.sdk ) {
+        throw new Error('The modular SDK requires the `sdk` option, ' +
+          'e.g. getAsArray(ref, {sdk: firebaseDatabase})');
+      }
+      return modularAdapter(opts.sdk);
+    }
+    else if( typeof(adapter) === 'string' ) {
+      if( !ADAPTERS.hasOwnProperty(adapter) ) {
+        throw new Error('Invalid adapter ' + adapter + '; must be one of: legacy, namespaced, modular');
+      }
+      return ADAPTERS[adapter];
+    }
+    else if( adapter ) {
+      return adapter;
+    }
+    else if( typeof(ref.on) !== 'function' ) {
+      throw new Error('The modular SDK requires the `sdk` option, e.g. getAsArray(ref, {sdk: firebaseDatabase})');
+    }
+    // queries in the legacy API do not have name(), so the ref they belong to is checked as well
+    return typeof(ref.name) === 'function' || typeof(ADAPTERS.legacy.refOf(ref).name) === 'function'?
+      ADAPTERS.legacy : ADAPTERS.namespaced;
+  }
+
+  /**
+   * Tracks listeners by event type. Each listener is invoked with the arguments of the event and
+   * listeners for 'change' are invoked for every event, with the event type prepended.
+   *
+   * @param {Array} types the event types (besides 'change') which may be subscribed to
+   * @constructor
+   */
+  function EventEmitter(types) {
+    this.types = types;
+    this.listeners = {};
+    this.subscribers = {}; // the derived views listening internally, which off() does not remove
+  }
+
+  EventEmitter.prototype = {
+    on: function(eventType, fn, context) {
+      if( eventType !== 'change' && this.types.indexOf(eventType) === -1 ) {
+        throw new Error('Invalid event type ' + eventType + '; must be one of: change, ' + this.types.join(', '));
+      }
+      (this.listeners[eventType] = this.listeners[eventType] || []).push([fn, context]);
+      return fn;
+    },
+
+    off: function(eventType, fn) {
+      if( !eventType ) {
+        this.listeners = {};
+      }
+      else if( !fn ) {
+        delete this.listeners[eventType];
+      }
+      else if( this.listeners[eventType] ) {
+        this.listeners[eventType] = this.listeners[eventType].filter(function(l) {
+          return l[0] !== fn;
+        });
+      }
+    },
+
+    subscribe: function(eventType, fn) {
+      (this.subscribers[eventType] = this.subscribers[eventType] || []).push(fn);
+    },
+
+    unsubscribe: function(eventType, fn) {
+      var fns = this.subscribers[eventType] || [], i = fns.indexOf(fn);
+      if( i !== -1 ) { fns.splice(i, 1); }
+    },
+
+    has: function(eventType) {
+      return !!(this.listeners[eventType] || []).length;
+    },
+
+    trigger: function(eventType, args, skipChange) {
+      this._invoke(eventType, args);
+      if( !skipChange ) {
+        this._invoke('change', [eventType].concat(args));
+      }
+    },
+
+    _invoke: function(eventType, args) {
+      // derived views are updated first, so that listeners see them in step with the array; both lists are
+      // copied so that listeners may unsubscribe while the event is being delivered
+      (this.subscribers[eventType] || []).slice().forEach(function(fn) {
+        fn.apply(null, args);
+      });
+      (this.listeners[eventType] || []).slice().forEach(function(l) {
+        l[0].apply(l[1], args);
+      });
+    }
+  };
+
+  /**
+   * The base class for records created with a `recordFactory`, which copies the record's data onto the instance.
+   * Subclasses may define these hooks on their prototype:
+   *
+   *   - $updated(data): applies the new data when the record changes; by default the data replaces the fields
+   *   - toJSON(): returns the data to be written to Firebase when the record is passed to $set or $add
+   *
+   * @param {object} data the record's data, including $id
+   * @constructor
+   */
+  function Record(data) {
+    extend(this, data);
+  }
+
+  Record.prototype.$updated = function(data) {
+    applyToBase(this, data);
+  };
+
+  exports.getAsArray.Record = Record;
+
+  /**
+   * The error for values which do not match the `schema` option. Each of its `errors` has the `path` of
+   * the offending value, relative to the record (an empty string for the record itself), and a `message`.
+   *
+   * @param {Array} errors
+   * @param {*} value the value which was validated
+   * @constructor
+   */
+  function ValidationError(errors, value) {
+    this.name = 'ValidationError';
+    this.errors = errors;
+    this.value = value;
+    this.message = errors.map(function(e) { return (e.path || 'record') + ' ' + e.message; }).join('; ');
+    this.stack = new Error(this.message).stack;
+  }
+
+  ValidationError.prototype = Object.create(Error.prototype);
+  ValidationError.prototype.constructor = ValidationError;
+
+  exports.getAsArray.ValidationError = ValidationError;
+
+  /**
+   * Validates a value against a subset of JSON Schema: type, enum, properties, required,
+   * additionalProperties, items, minimum, maximum, minLength, maxLength and pattern.
+   */
+  function checkSchema(schema, value, path, errors) {
+    function fail(p, message) {
+      errors.push({ path: p, message: message });
+    }
+    function childPath(key) {
+      return path? path + '/' + key : String(key);
+    }
+    var types = schema.type === undefined? null : [].concat(schema.type);
+    if( types && !types.some(function(t) { return typeOf(value, t); }) ) {
+      fail(path, 'must be of type ' + types.join(' or '));
+      return errors;
+    }
+    if( schema.enum && !schema.enum.some(function(x) { return isEqual(x, value); }) ) {
+      fail(path, 'must be one of: ' + schema.enum.map(function(x) { return JSON.stringify(x); }).join(', '));
+    }
+    if( typeof(value) === 'number' ) {
+      if( schema.minimum !== undefined && value < schema.minimum ) {
+        fail(path, 'must be at least ' + schema.minimum);
+      }
+      if( schema.maximum !== undefined && value > schema.maximum ) {
+        fail(path, 'must be at most ' + schema.maximum);
+      }
+    }
+    if( typeof(value) === 'string' ) {
+      if( schema.minLength !== undefined && value.length < schema.minLength ) {
+        fail(path, 'must have at least ' + schema.minLength + ' characters');
+      }
+      if( schema.maxLength !== undefined && value.length > schema.maxLength ) {
+        fail(path, 'must have at most ' + schema.maxLength + ' characters');
+      }
+      if( schema.pattern !== undefined && !new RegExp(schema.pattern).test(value) ) {
+        fail(path, 'must match ' + schema.pattern);
+      }
+    }
+    if( Array.isArray(value) && schema.items ) {
+      value.forEach(function(item, i) {
+        checkSchema(schema.items, item, childPath(i), errors);
+      });
+    }
+    else if( isObject(value) && !Array.isArray(value) ) {
+      var props = schema.properties || {};
+      (schema.required || []).forEach(function(key) {
+        if( value[key] === undefined || value[key] === null ) { fail(childPath(key), 'is required'); }
+      });
+      Object.keys(value).forEach(function(key) {
+        if( props.hasOwnProperty(key) ) {
+          if( value[key] !== null ) { checkSchema(props[key], value[key], childPath(key), errors); }
+        }
+        else if( schema.additionalProperties === false ) {
+          fail(childPath(key), 'is not allowed');
+        }
+        else if( isObject(schema.additionalProperties) ) {
+          checkSchema(schema.additionalProperties, value[key], childPath(key), errors);
+        }
+      });
+    }
+    return errors;
+  }
+
+  function typeOf(value, type) {
+    if( type === 'null' ) { return value === null; }
+    if( type === 'array' ) { return Array.isArray(value); }
+    if( type === 'object' ) { return isObject(value) && !Array.isArray(value); }
+    if( type === 'integer' ) { return typeof(value) === 'number' && value % 1 === 0; }
+    return typeof(value) === type;
+  }
+
+  function applyToBase(base, data) {
+    // do not replace the reference to objects contained in the data
+    // instead, just update their child values
+    if( isObject(base) && isObject(data) ) {
+      var key;
+      for(key in base) {
+        // local fields such as $id and $pending are not part of the server data
+        if( key.charAt(0) !== '$' && base.hasOwnProperty(key) && !data.hasOwnProperty(key) ) {
+          delete base[key];
+        }
+      }
+      for(key in data) {
+        if( data.hasOwnProperty(key) ) {
+          base[key] = data[key];
+        }
+      }
+      return base;
+    }
+    else {
+      return data;
+    }
+  }
+
+  function rejected(err) {
+    var def = defer();
+    def.reject(err);
+    return def.promise;
+  }
+
+  function withoutNulls(data) {
+    // an update() removes the children it sets to null
+    return Object.keys(data).reduce(function(out, key) {
+      if( data[key] !== null ) { out[key] = data[key]; }
+      return out;
+    }, {});
+  }
+
+  function all(promises) {
+    // like Promise.all, but also for the thenables from defer(); nulls are skipped and it resolves with nothing
+    var def = defer(), waiting = promises.filter(function(p) { return p; }), count = waiting.length;
+    waiting.forEach(function(p) {
+      p.then(function() {
+        if( --count === 0 ) { def.resolve(); }
+      }, def.reject);
+    });
+    if( count === 0 ) { def.resolve(); }
+    return def.promise;
+  }
+
+  function defer() {
+    /* global Promise */
+    var def = {};
+    if( typeof(Promise) === 'function' ) {
+      def.promise = new Promise(function(resolve, reject) {
+        def.resolve = resolve;
+        def.reject = reject;
+      });
+    }
+    else {
+      def.promise = new Thenable();
+      def.resolve = def.promise._resolve.bind(def.promise);
+      def.reject = def.promise._settle.bind(def.promise, 'rejected');
+    }
+    return def;
+  }
+
+  // a minimal promise implementation for environments that lack a global Promise; it supports
+  // then() chaining and adopts the state of any thenable it is resolved with
+  function Thenable() {
+    this.state = 'pending';
+    this.value = undefined;
+    this.handlers = [];
+    this.locked = false;
+  }
+
+  Thenable.prototype = {
+    then: function(onFulfilled, onRejected) {
+      var next = new Thenable();
+      this.handlers.push([onFulfilled, onRejected, next]);
+      if( this.state !== 'pending' ) { this._flush(); }
+      return next;
+    },
+
+    'catch': function(onRejected) {
+      return this.then(null, onRejected);
+    },
+
+    _resolve: function(value) {
+      var self = this, called = false;
+      if( self.locked ) { return; }
+      if( value === self ) {
+        self._settle('rejected', new TypeError('A promise cannot be resolved with itself'));
+        return;
+      }
+      try {
+        var then = (isObject(value) || typeof(value) === 'function') && value.then;
+        if( typeof(then) === 'function' ) {
+          self.locked = true;
+          then.call(value,
+            function(v) { if( !called ) { called = true; self.locked = false; self._resolve(v); } },
+            function(e) { if( !called ) { called = true; self.locked = false; self._settle('rejected', e); } }
+          );
+          return;
+        }
+      }
+      catch(e) {
+        if( !called ) {
+          called = true;
+          self.locked = false;
+          self._settle('rejected', e);
+        }
+        return;
+      }
+      self._settle('fulfilled', value);
+    },
+
+    _settle: function(state, value) {
+      if( this.state === 'pending' && !this.locked ) {
+        this.state = state;
+        this.value = value;
+        this._flush();
+      }
+    },
+
+    _flush: function() {
+      var self = this, handlers = self.handlers;
+      self.handlers = [];
+      setTimeout(function() {
+        handlers.forEach(function(h) {
+          var fn = self.state === 'fulfilled'? h[0] : h[1], next = h[2];
+          if( typeof(fn) !== 'function' ) {
+            if( self.state === 'fulfilled' ) { next._resolve(self.value); }
+            else { next._settle('rejected', self.value); }
+            return;
+          }
+          try {
+            next._resolve(fn(self.value));
+          }
+          catch(e) {
+            next._settle('rejected', e);
+          }
+        });
+      }, 0);
+    }
+  };
+
+  /**
+   * Creates the comparator for the `sortBy` option, which is either a field name or a function comparing two
+   * records. Records that compare equal are ordered by $id, so every record has exactly one position.
+   */
+  function makeComparator(sortBy) {
+    var cmp = typeof(sortBy) === 'function'? sortBy : function(a, b) {
+      return compareValues(a[sortBy], b[sortBy]);
+    };
+    return function(a, b) {
+      return cmp(a, b) || compareValues(a.$id, b.$id);
+    };
+  }
+
+  // orders values like Firebase does: missing values first, then booleans, numbers, strings and objects
+  function compareValues(a, b) {
+    var ta = typeRank(a), tb = typeRank(b);
+    if( ta !== tb ) { return ta - tb; }
+    if( ta === 4 || a === b ) { return 0; }
+    return a < b? -1 : 1;
+  }
+
+  function typeRank(x) {
+    if( x === null || x === undefined ) { return 0; }
+    return {'boolean': 1, 'number': 2, 'string': 3}[typeof(x)] || 4;
+  }
+
+  function copy(data) {
+    return data === undefined? data : JSON.parse(JSON.stringify(data));
+  }
+
+  function isEqual(a, b) {
+    if( isObject(a) && isObject(b) ) {
+      var aKeys = Object.keys(a), bKeys = Object.keys(b);
+      return aKeys.length === bKeys.length && aKeys.every(function(k) {
+        return b.hasOwnProperty(k) && isEqual(a[k], b[k]);
+      });
+    }
+    return a === b;
+  }
+
+  function isObject(x) {
+    return typeof(x) === 'object' && x !== null;
+  }
+
+  // how values Firebase cannot store are converted, see the `serialize` option
+  var SERIALIZE_RULES = { date: 'timestamp', nan: 'error', undefined: 'remove' };
+
+  // how many steps the `history` option keeps when it is true
+  var DEFAULT_HISTORY = 100;
+
+  // the spacing of the priorities given by moveTo() when records are rebalanced
+  var PRIORITY_STEP = 1000;
+
+  function priorityBetween(prev, next) {
+    // a number which Firebase orders after `prev` and before `next` (either may be missing), or null if there is
+    // none; Firebase puts null priorities before numbers, and numbers before strings
+    var lo = prev? prev.$priority : null, hi = next? next.$priority : undefined, mid;
+    if( typeof(lo) === 'string' || hi === null ) { return null; }
+    if( typeof(hi) !== 'number' ) {
+      return lo === null? PRIORITY_STEP : lo + PRIORITY_STEP;
+    }
+    if( lo === null ) {
+      return hi - PRIORITY_STEP;
+    }
+    mid = lo + (hi - lo) / 2;
+    // once the neighbours are too close together, the midpoint rounds to one of them
+    return lo < mid && mid < hi? mid : null;
+  }
+
+  // whitespace and punctuation (ASCII, Latin-1, general and CJK), which separate the words indexed by $search
+  var TOKEN_SEPARATOR = /[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/;
+
+  // Firebase keys may not be empty or contain . $ # [ ] / or control characters
+  var INVALID_KEY = /^$|[.$#\[\]\/\x00-\x1F\x7F]/;
+
+  /**
+   * Converts a record to the data stored in Firebase. The record is deep-copied, so the caller's object is
+   * not modified, local fields ($id, $pending) are dropped at every level and `rules` are applied to the
+   * values which Firebase cannot store. Throws a ValidationError listing the path of every value and key
+   * which could not be converted.
+   */
+  function parseForJson(data, rules, paths) {
+    var errors = [], out = sanitize(data, '', rules || SERIALIZE_RULES, errors, [], paths);
+    if( errors.length ) {
+      throw new ValidationError(errors, data);
+    }
+    if( isObject(out) && !Array.isArray(out) && out.hasOwnProperty('.value') ) {
+      out = out['.value'];
+    }
+    return out === undefined? null : out;
+  }
+
+  function sanitize(value, path, rules, errors, parents, paths) {
+    function fail(message) {
+      errors.push({ path: path, message: message });
+    }
+    function childPath(key) {
+      return path? path + '/' + key : String(key);
+    }
+    if( value instanceof Date ) {
+      if( isNaN(value.getTime()) ) { fail('is an invalid date'); }
+      else if( rules.date === 'iso' ) { return value.toISOString(); }
+      else if( rules.date === 'error' ) { fail('is a Date'); }
+      else { return value.getTime(); }
+      return undefined;
+    }
+    if( typeof(value) === 'number' && !isFinite(value) ) {
+      if( rules.nan === 'null' ) { return null; }
+      fail('is not a finite number');
+      return undefined;
+    }
+    if( value === undefined || typeof(value) === 'function' ) {
+      if( rules.undefined === 'null' ) { return null; }
+      if( rules.undefined === 'error' ) { fail(value === undefined? 'is undefined' : 'is a function'); }
+      return undefined;
+    }
+    if( !isObject(value) ) {
+      return value;
+    }
+    if( typeof(value.toJSON) === 'function' ) {
+      // class instances (such as records from a recordFactory) decide how they are serialized
+      var json = value.toJSON();
+      return json === value? json : sanitize(json, path, rules, errors, parents);
+    }
+    if( parents.indexOf(value) !== -1 ) {
+      fail('is a circular reference');
+      return undefined;
+    }
+    parents = parents.concat([value]);
+    if( Array.isArray(value) ) {
+      return value.map(function(item, i) {
+        var out = sanitize(item, childPath(i), rules, errors, parents);
+        return out === undefined? null : out;
+      });
+    }
+    return Object.keys(value).reduce(function(out, key) {
+      if( key.charAt(0) === '$' ) { return out; }
+      var invalid = paths? key.split('/').some(isInvalidKey) : isInvalidKey(key);
+      if( key !== '.value' && key !== '.priority' && invalid ) {
+        errors.push({ path: childPath(key), message: 'is not a valid key' });
+        return out;
+      }
+      var v = sanitize(value[key], childPath(key), rules, errors, parents);
+      if( v !== undefined ) { out[key] = v; }
+      return out;
+    }, {});
+  }
+
+  function isInvalidKey(key) {
+    return INVALID_KEY.test(key);
+  }
+
+  function applyUpdate(base, data) {
+    // the record after an update, whose keys may be paths into it; the objects along each path are copied
+    var out = extend({}, isObject(base)? base : {});
+    Object.keys(data).forEach(function(path) {
+      var parts = path.split('/'), last = parts.pop(), node = out;
+      parts.forEach(function(part) {
+        node = node[part] = extend({}, isObject(node[part])? node[part] : {});
+      });
+      if( parts.length && data[path] === null ) { delete node[last]; }
+      else { node[last] = data[path]; }
+    });
+    return out;
+  }
+
+  function versionOf(data, field) {
+    return isObject(data)? data[field] : undefined;
+  }
+
+  function parseVal(id, data, priority) {
+    if( typeof(data) !== 'object' || !data ) {
+      data = { '.value': data };
+    }
+    if( data.hasOwnProperty('.priority') ) {
+      // written values carry their priority as .priority (see withPriority), records have it as $priority
+      data.$priority = data['.priority'];
+      delete data['.priority'];
+    }
+    else if( priority !== undefined ) {
+      data.$priority = priority;
+    }
+    data['$id'] = id;
+    return data;
+  }
+
+  function withPriority(value, priority) {
+    // adds a priority to a value in the form Firebase accepts; primitives are wrapped with .value
+    if( priority === null || priority === undefined || value === null || value === undefined ) {
+      return value;
+    }
+    var out = isObject(value)? extend({}, value) : { '.value': value };
+    out['.priority'] = priority;
+    return out;
+  }
+
+  function splitPriority(value) {
+    // the reverse of withPriority, returns [value, priority]; the priority is undefined when there is none
+    if( !isObject(value) || !value.hasOwnProperty('.priority') ) {
+      return [value, undefined];
+    }
+    var rest = extend({}, value), priority = rest['.priority'];
+    delete rest['.priority'];
+    return [rest.hasOwnProperty('.value')? rest['.value'] : rest, priority];
   }
 })(typeof(window)==='undefined'? exports : window.Firebase);
\ No newline at end of file
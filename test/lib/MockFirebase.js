@@ -85,6 +85,9 @@
     // stores the listeners for various event types
     this._events = { value: [], child_added: [], child_removed: [], child_changed: [], child_moved: [] };
 
+    // the cancel callbacks given to on(), see forceCancel()
+    this._cancels = [];
+
     // allows changes to be propagated between child/parent instances
     this.parent = parent||null;
     this.children = [];
@@ -136,7 +139,8 @@
           parts[0].apply(self, parts.slice(1));
         });
 
-        self.children.forEach(function(c) {
+        // copied because flushing a child can re-sort this.children
+        self.children.slice().forEach(function(c) {
           c.flush();
         });
       }
@@ -163,13 +167,30 @@
      * Simulate a failure by specifying that the next invocation of methodName should
      * fail with the provided error.
      *
-     * @param {String} methodName currently only supports `set` and `transaction`
+     * @param {String} methodName currently supports `set`, `update`, `remove`, `setPriority` and `transaction`
      * @param {String|Error} error
      */
     failNext: function(methodName, error) {
       this.errs[methodName] = error;
     },
 
+    /**
+     * Simulate a read being denied: every listener on this path (and on queries of it) which was given
+     * a cancel callback is removed, and the callback is invoked with the provided error.
+     *
+     * @param {String|Error} error
+     */
+    forceCancel: function(error) {
+      var events = this._events, cancels = this._cancels;
+      this._cancels = [];
+      _.each(cancels, function(c) {
+        if( _.contains(events[c[0]], c[1]) ) {
+          events[c[0]] = _.without(events[c[0]], c[1]);
+          c[2](error);
+        }
+      });
+    },
+
     /**
      * Returns a copy of the current data
      * @returns {*}
@@ -232,20 +253,60 @@
       }
       var self = this;
       var err = this._nextErr('update');
-      var base = this.getData();
-      var data = _.assign(_.isObject(base)? base : {}, changes);
+      var base = this.getData(), data = _.isObject(base)? base : {}, priorities = {}, touched = {};
+      // like Firebase, the keys may be paths (a multi-path update), children updated to null are removed,
+      // and priorities are written as .priority
+      _.each(changes, function(value, path) {
+        var parts = path.split('/'), last = parts.pop(), parent = data;
+        touched[parts.length? parts[0] : last] = true;
+        if( last === '.priority' ) {
+          priorities[parts.join('/')] = value;
+          return;
+        }
+        if( _.isObject(value) && _.has(value, '.priority') ) {
+          priorities[path] = value['.priority'];
+          value = _.has(value, '.value')? value['.value'] : _.omit(value, '.priority');
+        }
+        _.each(parts, function(p) {
+          if( !_.isObject(parent[p]) ) { parent[p] = {}; }
+          parent = parent[p];
+        });
+        if( value === null ) { delete parent[last]; }
+        else { parent[last] = value; }
+      });
       DEBUG && console.log('update called', this.toString(), data); //debug
       this._defer(function() {
         DEBUG && console.log('update completed', this.toString(), data); //debug
         if( err === null ) {
-          self._dataChanged(data);
+          if( _.isObject(base) ) {
+            // each child is changed on its own, so that the events for it are triggered; the new ones are
+            // sorted first, since the previous child of each event is looked up from their order
+            var children = _.map(_.keys(touched), function(key) { return self.child(key); });
+            self._resort();
+            _.each(children, function(child) {
+              child._dataChanged(_.has(data, child.name())? data[child.name()] : null);
+            });
+          }
+          else {
+            self._dataChanged(data);
+          }
+          _.each(priorities, function(pri, path) {
+            self.child(path)._priChanged(pri);
+          });
         }
         callback && callback(err);
       });
     },
 
-    setPriority: function(newPriority) {
-      this._priChanged(newPriority);
+    setPriority: function(newPriority, callback) {
+      var self = this;
+      var err = this._nextErr('setPriority');
+      this._defer(function() {
+        if( err === null ) {
+          self._priChanged(newPriority);
+        }
+        callback && callback(err);
+      });
     },
 
     name: function() {
@@ -285,27 +346,43 @@
       this.on(event, fn);
     },
 
-    remove: function() {
-      this._dataChanged(null);
+    remove: function(callback) {
+      var self = this;
+      var err = this._nextErr('remove');
+      this._defer(function() {
+        if( err === null ) {
+          self._dataChanged(null);
+        }
+        callback && callback(err);
+      });
     },
 
-    on: function(event, callback) { //todo cancelCallback?
+    on: function(event, callback, cancel) {
       this._events[event].push(callback);
+      cancel && this._cancels.push([event, callback, cancel]);
       var data = this.getData(), self = this, pri = this.priority;
       if( event === 'value' ) {
         this._defer(function() {
-          callback(makeSnap(self, data, pri));
+          _.contains(self._events[event], callback) && callback(makeSnap(self, data, pri));
         });
       }
       else if( event === 'child_added' ) {
         this._defer(function() {
           var prev = null;
-          _.each(data, function(v, k) {
-            callback(makeSnap(self.child(k), v, pri), prev);
+          if( !_.contains(self._events[event], callback) ) { return; }
+          // like Firebase, the children are delivered in priority order; the child refs are looked up
+          // rather than created here, since flush() processes them in the order they were created
+          var keys = _.sortBy(_.keys(_.isObject(data)? data : {}), function(k) {
+            var child = _.find(self.children, function(c) { return c.name() === k; });
+            return child && child.priority !== null? child.priority : -Infinity;
+          });
+          _.each(keys, function(k) {
+            callback(makeSnap(self.child(k), data[k], self.child(k).priority), prev);
             prev = k;
           });
         });
       }
+      return callback;
     },
 
     off: function(event, callback) {
@@ -325,12 +402,18 @@
     transaction: function(valueFn, finishedFn, applyLocally) {
       var valueSpy = sinon.spy(valueFn);
       var finishedSpy = sinon.spy(finishedFn);
+      // like Firebase, the update function is run immediately against the local data, and then retried
+      // if the data has changed by the time the transaction is invoked
+      var local = this.getData();
+      var res = valueSpy(this.getData());
       this._defer(function() {
         var err = this._nextErr('transaction');
         // unlike most defer methods, this will use the value as it exists at the time
         // the transaction is actually invoked, which is the eventual consistent value
         // it would have in reality
-        var res = valueSpy(this.getData());
+        if( !_.isEqual(local, this.getData()) ) {
+          res = valueSpy(this.getData());
+        }
         var newData = _.isUndefined(res) || err? this.getData() : res;
         finishedSpy(err, err === null && !_.isUndefined(res), makeSnap(this, newData, this.priority));
         this._dataChanged(newData);
@@ -351,22 +434,23 @@
     },
 
     /**
-     * Just a stub at this point.
+     * Returns a MockQuery which only delivers the last `limit` records
      * @param {int} limit
+     * @returns {MockQuery}
      */
     limit: function(limit) {
       this._queryProps.limit = limit;
-      //todo
+      return new MockQuery(this, {}).limit(limit);
     },
 
     startAt: function(priority, recordId) {
       this._queryProps.startAt = [priority, recordId];
-      //todo
+      return new MockQuery(this, {}).startAt(priority, recordId);
     },
 
     endAt: function(priority, recordId) {
       this._queryProps.endAt = [priority, recordId];
-      //todo
+      return new MockQuery(this, {}).endAt(priority, recordId);
     },
 
     /*****************************************************
@@ -382,6 +466,7 @@
         delete this.data[ref.name()];
         this._trigger('child_removed', data, pri, ref.name());
         this._trigger('value', this.data, this.priority);
+        this.parent && this.parent._childChanged(this);
       }
       else if( data !== null ) {
         this.data[ref.name()] = _.cloneDeep(data);
@@ -397,6 +482,9 @@
         this._priChanged(data['.priority']);
         delete data['.priority'];
       }
+      if(_.isObject(data) && _.has(data, '.value')) {
+        data = data['.value'];
+      }
       if( !_.isEqual(data, this.data) ) {
         this.data = _.cloneDeep(data);
         DEBUG && console.log('_dataChanged', this.toString(), data); //debug
@@ -471,10 +559,148 @@
         recs.sort(childComparator);
         i = _.findIndex(recs, keysMatch);
       }
-      return i > 0? i : null;
+      return i > 0? recs[i-1].name() : null;
+    },
+
+    _orderedKeys: function() {
+      var self = this;
+      return _.keys(_.isObject(this.data)? this.data : {}).map(function(k) {
+        return self.child(k);
+      }).sort(childComparator).map(function(c) {
+        return c.name();
+      });
+    }
+  };
+
+  /**
+   * A query against a MockFirebase ref, returned by limit(), startAt() and endAt(). Only the
+   * records inside the window are delivered to listeners. When records move out of a limit()
+   * window because new ones were added, no child_removed event is triggered.
+   *
+   * @param {MockFirebase} ref
+   * @param {object} props the limit, startAt and endAt values
+   * @constructor
+   */
+  function MockQuery(ref, props) {
+    this._ref = ref;
+    this._queryProps = props;
+    this._listeners = [];
+    this._delivered = {}; // keys that child_added has been triggered for
+  }
+
+  MockQuery.prototype = {
+    ref: function() {
+      return this._ref;
+    },
+
+    limit: function(limit) {
+      return new MockQuery(this._ref, _.assign({}, this._queryProps, {limit: limit}));
+    },
+
+    startAt: function(priority, recordId) {
+      return new MockQuery(this._ref, _.assign({}, this._queryProps, {startAt: [priority, recordId]}));
+    },
+
+    endAt: function(priority, recordId) {
+      return new MockQuery(this._ref, _.assign({}, this._queryProps, {endAt: [priority, recordId]}));
+    },
+
+    on: function(event, callback, cancel) {
+      var self = this, ref = this._ref, delivered = this._delivered;
+      function live(snap) {
+        var key = snap.name();
+        var keys = self._windowKeys();
+        var inWindow = _.contains(keys, key);
+        if( event === 'value' ) {
+          callback(self._snap());
+        }
+        else if( event === 'child_added' && inWindow ) {
+          delivered[key] = true;
+          callback(snap, self._prevKey(keys, key));
+        }
+        else if( event === 'child_moved' && inWindow && delivered[key] ) {
+          callback(snap, self._prevKey(keys, key));
+        }
+        else if( event !== 'child_added' && event !== 'child_moved' && delivered[key] ) {
+          if( event === 'child_removed' ) { delete delivered[key]; }
+          callback(snap);
+        }
+      }
+      this._listeners.push([event, callback, live]);
+      ref._events[event].push(live);
+      cancel && ref._cancels.push([event, live, cancel]);
+      if( event === 'value' ) {
+        ref._defer(function() {
+          _.contains(ref._events[event], live) && callback(self._snap());
+        });
+      }
+      else if( event === 'child_added' ) {
+        ref._defer(function() {
+          var prev = null;
+          if( !_.contains(ref._events[event], live) ) { return; }
+          _.each(self._windowKeys(), function(k) {
+            var child = ref.child(k);
+            delivered[k] = true;
+            callback(makeSnap(child, child.getData(), child.priority), prev);
+            prev = k;
+          });
+        });
+      }
+      return callback;
+    },
+
+    off: function(event, callback) {
+      var ref = this._ref;
+      this._listeners = _.filter(this._listeners, function(l) {
+        if( (!event || l[0] === event) && (!callback || l[1] === callback) ) {
+          ref._events[l[0]] = _.without(ref._events[l[0]], l[2]);
+          return false;
+        }
+        return true;
+      });
+    },
+
+    toString: function() {
+      return this._ref.toString();
+    },
+
+    _windowKeys: function() {
+      var ref = this._ref, props = this._queryProps;
+      var keys = _.filter(ref._orderedKeys(), function(k) {
+        var c = ref.child(k);
+        return (!props.startAt || compareToBound(c, props.startAt) >= 0) &&
+          (!props.endAt || compareToBound(c, props.endAt) <= 0);
+      });
+      return props.limit? keys.slice(-props.limit) : keys;
+    },
+
+    _prevKey: function(keys, key) {
+      var i = _.indexOf(keys, key);
+      return i > 0? keys[i-1] : null;
+    },
+
+    _snap: function() {
+      var ref = this._ref, data = null;
+      _.each(this._windowKeys(), function(k) {
+        (data = data || {})[k] = ref.child(k).getData();
+      });
+      return makeSnap(ref, data, ref.priority);
     }
   };
 
+  // compares a child ref to a [priority, recordId] boundary from startAt() or endAt(); when no
+  // recordId is given, every record with the same priority is inside the boundary
+  function compareToBound(child, bound) {
+    var pri = bound[0] === undefined? null : bound[0];
+    if( child.priority !== pri ) {
+      return child.priority < pri? -1 : 1;
+    }
+    else if( bound[1] === undefined || bound[1] === null || child.name() === bound[1] ) {
+      return 0;
+    }
+    return child.name() < bound[1]? -1 : 1;
+  }
+
 
   /*******************************************************************************
    * SIMPLE LOGIN
@@ -0,0 +1,182 @@
+/**
+ * Wraps MockFirebase refs and queries in the API shapes of the later Firebase SDKs, so that the same test
+ * units can be run against each of them:
+ *
+ *   - legacy: the MockFirebase API itself, where records are identified with name()
+ *   - namespaced: the v3-v8 API, where `key` and `ref` are properties and limit() is limitToLast()
+ *   - modular: the v9+ API, where refs only carry data and the operations are functions in the `sdk` option
+ *
+ * Each shape is a function which accepts a MockFirebase ref (or query) and returns {ref, opts} for getAsArray.
+ */
+var _ = require('lodash');
+var Promise = global.Promise; // captured in case a test unit removes the global
+
+function keyOf(ref) {
+  return typeof(ref.name) === 'function'? ref.name() : ref.key;
+}
+
+function wrapperOf(mock) {
+  return typeof(mock.ref) === 'function' && mock.ref() !== mock? mock.ref() : null;
+}
+
+/** NAMESPACED (v3-v8) **/
+
+function NamespacedRef(mock) {
+  var parent = wrapperOf(mock);
+  this._mock = mock;
+  this._handlers = [];
+  this.ref = parent? new NamespacedRef(parent) : this;
+  if( typeof(mock.name) === 'function' ) {
+    this.key = mock.name();
+  }
+}
+
+NamespacedRef.prototype = {
+  child: function(path) { return new NamespacedRef(this._mock.child(path)); },
+  push: function() { return new NamespacedRef(this._mock.push()); },
+  set: function(data, cb) { this._mock.set(data, cb); },
+  update: function(data, cb) { this._mock.update(data, cb); },
+  setPriority: function(priority, cb) { this._mock.setPriority(priority, cb); },
+  remove: function(cb) { this._mock.remove(cb); },
+  transaction: function(fn, cb) {
+    this._mock.transaction(fn, function(err, committed, snap) {
+      cb(err, committed, namespacedSnap(snap));
+    });
+  },
+  limitToLast: function(limit) { return new NamespacedRef(this._mock.limit(limit)); },
+  startAt: function(value, key) { return new NamespacedRef(this._mock.startAt(value, key)); },
+  endAt: function(value, key) { return new NamespacedRef(this._mock.endAt(value, key)); },
+  toString: function() { return this._mock.toString(); },
+
+  on: function(event, callback, cancel) {
+    var handler = function(snap, prevKey) {
+      callback(namespacedSnap(snap), prevKey);
+    };
+    this._handlers.push([event, callback, handler]);
+    this._mock.on(event, handler, cancel);
+    return callback;
+  },
+
+  off: function(event, callback) {
+    var mock = this._mock;
+    this._handlers = _.filter(this._handlers, function(h) {
+      if( h[0] === event && (!callback || h[1] === callback) ) {
+        mock.off(event, h[2]);
+        return false;
+      }
+      return true;
+    });
+  }
+};
+
+function namespacedSnap(snap) {
+  return {
+    key: snap.name(),
+    val: function() { return snap.val(); },
+    getPriority: function() { return snap.getPriority? snap.getPriority() : null; }
+  };
+}
+
+/** MODULAR (v9+) **/
+
+function ModularRef(mock) {
+  var parent = wrapperOf(mock);
+  this._mock = mock;
+  this.ref = parent? new ModularRef(parent) : this;
+  this.key = typeof(mock.name) === 'function'? mock.name() : null;
+}
+
+ModularRef.prototype.toString = function() {
+  return this._mock.toString();
+};
+
+function modularSnap(snap) {
+  return {
+    key: snap.name(),
+    val: function() { return snap.val(); },
+    priority: snap.getPriority? snap.getPriority() : null
+  };
+}
+
+// like the SDK, invalid arguments throw synchronously rather than rejecting
+function promised(mock, method, args) {
+  var err, done = false, handlers;
+  mock[method].apply(mock, args.concat([function(e) {
+    err = e;
+    done = true;
+    handlers && settle();
+  }]));
+  function settle() {
+    if( err ) { handlers[1](err); }
+    else { handlers[0](); }
+  }
+  return new Promise(function(resolve, reject) {
+    handlers = [resolve, reject];
+    done && settle();
+  });
+}
+
+function listener(event) {
+  return function(query, callback, cancel) {
+    var handler = function(snap, prevKey) {
+      callback(modularSnap(snap), prevKey);
+    };
+    query._mock.on(event, handler, cancel);
+    return function() {
+      query._mock.off(event, handler);
+    };
+  };
+}
+
+function constraint(method) {
+  return function() {
+    var args = _.toArray(arguments);
+    return function(mock) {
+      return mock[method].apply(mock, args);
+    };
+  };
+}
+
+var sdk = {
+  child: function(ref, path) { return new ModularRef(ref._mock.child(path)); },
+  push: function(ref) { return new ModularRef(ref._mock.push()); },
+  set: function(ref, data) { return promised(ref._mock, 'set', [data]); },
+  update: function(ref, data) { return promised(ref._mock, 'update', [data]); },
+  setPriority: function(ref, priority) { return promised(ref._mock, 'setPriority', [priority]); },
+  remove: function(ref) { return promised(ref._mock, 'remove', []); },
+  runTransaction: function(ref, fn) {
+    return new Promise(function(resolve, reject) {
+      ref._mock.transaction(fn, function(err, committed, snap) {
+        if( err ) { reject(err); }
+        else { resolve({ committed: committed, snapshot: modularSnap(snap) }); }
+      });
+    });
+  },
+  onChildAdded: listener('child_added'),
+  onChildRemoved: listener('child_removed'),
+  onChildChanged: listener('child_changed'),
+  onChildMoved: listener('child_moved'),
+  onValue: listener('value'),
+  query: function(query) {
+    return _.reduce(_.rest(arguments), function(q, c) {
+      return new ModularRef(c(q._mock));
+    }, query);
+  },
+  limitToLast: constraint('limit'),
+  startAt: constraint('startAt'),
+  endAt: constraint('endAt')
+};
+
+exports.keyOf = keyOf;
+exports.sdk = sdk;
+exports.shapes = {
+  legacy: function(mock) {
+    return { ref: mock, opts: {} };
+  },
+  namespaced: function(mock) {
+    return { ref: new NamespacedRef(mock), opts: {} };
+  },
+  modular: function(mock) {
+    return { ref: new ModularRef(mock), opts: { sdk: sdk } };
+  }
+};
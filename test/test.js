@@ -3,416 +3,3649 @@ var sinon = require('sinon');
 var _ = require('lodash');
 var expect = require('chai').use(require('sinon-chai')).expect;
 var Firebase = require('./lib/MockFirebase.js').Firebase;
-var getAsArray = require('../firebase-as-array').getAsArray;
+var MockSdks = require('./lib/MockSdks.js');
+var keyOf = MockSdks.keyOf;
+var _getAsArray = require('../firebase-as-array').getAsArray;
+
+_.each(MockSdks.shapes, function(shape, shapeName) {
+  describe('Firebase.getAsArray (' + shapeName + ' API)', function() {
+    var fb;
+
+    // wraps the MockFirebase ref in the API shape being tested
+    function getAsArray(ref, eventCallback, opts) {
+      var wrapped = shape(ref);
+      if( _.isPlainObject(eventCallback) ) {
+        opts = eventCallback;
+        eventCallback = null;
+      }
+      return _getAsArray(wrapped.ref, eventCallback, _.assign({}, wrapped.opts, opts));
+    }
+
+    beforeEach(function() {
+      fb = new Firebase().child('data');
+    });
 
-describe('Firebase.getAsArray', function() {
-  var fb;
+    describe('#constructor', function() {
 
-  beforeEach(function() {
-    fb = new Firebase().child('data');
-  });
+      it('should attach functions to array', function() {
+        var list = getAsArray(fb);
+        expect(list).is.instanceof(Array);
+        _.each(['$indexOf', '$add', '$remove', '$update', '$move'], function(fn) {
+          expect(list[fn]).is.a('function');
+        });
+      });
 
-  describe('#constructor', function() {
+      it('should load initial data', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(list).to.have.length(_.keys(fb.getData()).length);
+        var i = 0;
+        _.each(fb.getData(), function(v, k) {
+          expect(list.$rawData(k)).to.eql(v);
+        });
+      });
 
-    it('should attach functions to array', function() {
-      var list = getAsArray(fb);
-      expect(list).is.instanceof(Array);
-      _.each(['$indexOf', '$add', '$remove', '$update', '$move'], function(fn) {
-        expect(list[fn]).is.a('function');
+      it('should handle child_added from server', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var oldLength = list.length;
+        fb.child('foo').set({hello: 'world'});
+        fb.flush();
+        expect(list).to.have.length(oldLength+1);
       });
-    });
 
-    it('should load initial data', function() {
-      var list = getAsArray(fb);
-      fb.flush();
-      expect(list).to.have.length(_.keys(fb.getData()).length);
-      var i = 0;
-      _.each(fb.getData(), function(v, k) {
-        expect(list.$rawData(k)).to.eql(v);
+      it('should handle child_removed from server', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var oldLength = list.length;
+        fb.child('b').remove();
+        fb.flush();
+        expect(list).to.have.length(oldLength-1);
       });
-    });
 
-    it('should handle child_added from server', function() {
-      var list = getAsArray(fb);
-      fb.flush();
-      var oldLength = list.length;
-      fb.child('foo').set({hello: 'world'});
-      fb.flush();
-      expect(list).to.have.length(oldLength+1);
-    });
+      it('should handle child_changed from server', function() {
+        var list = getAsArray(fb);
+        var data = {hello: 'world'};
+        fb.flush();
 
-    it('should handle child_removed from server', function() {
-      var list = getAsArray(fb);
-      fb.flush();
-      var oldLength = list.length;
-      fb.child('b').remove();
-      fb.flush();
-      expect(list).to.have.length(oldLength-1);
-    });
+        var oldLength = list.length;
+        fb.child('b').set(data);
+        fb.flush();
+
+        expect(list).has.length(oldLength);
+        expect(list.$rawData('b')).eqls(data);
+      });
 
-    it('should handle child_changed from server', function() {
-      var list = getAsArray(fb);
-      var data = {hello: 'world'};
-      fb.flush();
+      it('should handle child_moved from server', function() {
+        var list = getAsArray(fb);
+        fb.flush();
 
-      var oldLength = list.length;
-      fb.child('b').set(data);
-      fb.flush();
+        var oldLength = list.length;
+        fb.child('a').setPriority(100);
+        fb.flush();
 
-      expect(list).has.length(oldLength);
-      expect(list.$rawData('b')).eqls(data);
-    });
+        expect(list).has.length(oldLength);
+        expect(list[oldLength-1].$id).eqls('a');
+      });
 
-    it('should handle child_moved from server', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+      it('should trigger callback for add', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy);
+        fb.flush();
 
-      var oldLength = list.length;
-      fb.child('a').setPriority(100);
-      fb.flush();
+        var len = list.length;
+        expect(len).is.above(0);
+        expect(spy.callCount).equals(len+1); // one call per record, plus the loaded event
 
-      expect(list).has.length(oldLength);
-      expect(list[oldLength-1].$id).eqls('a');
-    });
+        fb.push({foo: 'bar'});
+        fb.flush();
+        expect(spy.callCount).equals(len+2);
+      });
 
-    it('should trigger callback for add', function() {
-      var spy = sinon.spy();
-      var list = getAsArray(fb, spy);
-      fb.flush();
+      it('should trigger callback for remove', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy);
+        fb.flush();
 
-      var len = list.length;
-      expect(len).is.above(0);
-      expect(spy.callCount).equals(len);
+        var len = list.length;
+        expect(len).is.above(0);
+        expect(spy.callCount).equals(len+1); // one call per record, plus the loaded event
 
-      fb.push({foo: 'bar'});
-      fb.flush();
-      expect(spy.callCount).equals(len+1);
-    });
+        fb.child('a').remove();
+        fb.flush();
+        expect(list.length).equals(len-1);
+        expect(spy.callCount).equals(len+2);
+      });
 
-    it('should trigger callback for remove', function() {
-      var spy = sinon.spy();
-      var list = getAsArray(fb, spy);
-      fb.flush();
+      it('should trigger callback for change', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy);
+        fb.flush();
 
-      var len = list.length;
-      expect(len).is.above(0);
-      expect(spy.callCount).equals(len);
+        var len = list.length;
+        expect(len).is.above(0);
+        expect(spy.callCount).equals(len+1); // one call per record, plus the loaded event
 
-      fb.child('a').remove();
-      fb.flush();
-      expect(list.length).equals(len-1);
-      expect(spy.callCount).equals(len+1);
-    });
+        fb.child('a').set({hello: 'world'});
+        fb.flush();
 
-    it('should trigger callback for change', function() {
-      var spy = sinon.spy();
-      var list = getAsArray(fb, spy);
-      fb.flush();
+        expect(list.length).equals(len);
+        expect(spy.callCount).equals(len+2);
+      });
+
+      it('should trigger callback for move', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy);
+        fb.flush();
 
-      var len = list.length;
-      expect(len).is.above(0);
-      expect(spy.callCount).equals(len);
+        var len = list.length;
+        expect(len).is.above(0);
+        expect(spy.callCount).equals(len+1); // one call per record, plus the loaded event
 
-      fb.child('a').set({hello: 'world'});
-      fb.flush();
+        fb.child('a').setPriority(100);
+        fb.flush();
 
-      expect(list.length).equals(len);
-      expect(spy.callCount).equals(len+1);
+        expect(list.length).equals(len);
+        expect(spy.callCount).equals(len+2);
+      });
     });
 
-    it('should trigger callback for move', function() {
-      var spy = sinon.spy();
-      var list = getAsArray(fb, spy);
-      fb.flush();
+    describe('$loaded', function() {
+      it('should resolve with the list once the initial data is loaded', function() {
+        var list = getAsArray(fb);
+        var promise = list.$loaded();
+        fb.flush();
 
-      var len = list.length;
-      expect(len).is.above(0);
-      expect(spy.callCount).equals(len);
+        return promise.then(function(res) {
+          expect(res).equals(list);
+          expect(list).to.have.length(_.keys(fb.getData()).length);
+        });
+      });
 
-      fb.child('a').setPriority(100);
-      fb.flush();
+      it('should resolve for an empty list', function() {
+        var fb = new Firebase('Empty://', null);
+        var list = getAsArray(fb);
+        var promise = list.$loaded();
+        fb.flush();
 
-      expect(list.length).equals(len);
-      expect(spy.callCount).equals(len+1);
-    });
-  });
+        return promise.then(function(res) {
+          expect(res).to.have.length(0);
+        });
+      });
 
-  describe('$rawData', function() {
-    it('should return the same data in Firebase for existing key', function() {
-      var list = getAsArray(fb);
-      fb.flush();
-      expect(list.$rawData('b')).eqls(fb.getData().b);
-    });
+      it('should not resolve before the data arrives', function(done) {
+        var list = getAsArray(fb);
+        var spy = sinon.spy();
+        list.$loaded(spy);
+        setTimeout(function() {
+          expect(spy).not.called;
+          fb.flush();
+          list.$loaded().then(function() {
+            expect(spy).calledOnce;
+            expect(spy).calledWith(list);
+            done();
+          }).catch(done);
+        }, 5);
+      });
 
-    it('should return null for non-existing key', function() {
-      var list = getAsArray(fb);
-      fb.flush();
-      expect(list.$rawData('notavalidkey')).equals(null);
-    })
-  });
+      it('should trigger the loaded event once, after the child_added events', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy);
+        fb.flush();
 
-  describe('$off', function() {
-    it('should stop listening to events', function() {
-      var list = getAsArray(fb);
-      fb.flush();
-      var oldLength = list.length;
-      list.$off();
-      fb.push({hello: 'world'});
-      fb.flush();
-      expect(list.length).equals(oldLength);
-    })
-  });
+        fb.push({foo: 'bar'});
+        fb.flush();
 
-  describe('$indexOf', function() {
-    it('should return correct index for existing records', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+        var loaded = spy.withArgs('loaded');
+        expect(loaded).calledOnce;
+        expect(loaded).calledWith('loaded', null, list);
+        expect(spy.getCall(list.length - 1).args[0]).equals('loaded');
+      });
 
-      var i = 0;
-      expect(list.length).is.gt(0);
-      _.each(fb.getData(), function(dat, key) {
-        expect(list.$indexOf(key)).equals(i++);
+      it('should reject and trigger an error event when the read is denied', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('error', spy);
+        sinon.stub(console, 'error');
+        fb.forceCancel(new Error('PERMISSION_DENIED'));
+        console.error.restore();
+        fb.flush();
+
+        expect(spy).calledOnce;
+        expect(list).to.have.length(0);
+        return list.$loaded().then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.message).equals('PERMISSION_DENIED');
+        });
       });
     });
 
-    it('should return -1 for missing record', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$rawData', function() {
+      it('should return the same data in Firebase for existing key', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(list.$rawData('b')).eqls(fb.getData().b);
+      });
 
-      expect(list.length).is.gt(0);
-      expect(list.$indexOf('notakey')).equals(-1);
+      it('should return null for non-existing key', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(list.$rawData('notavalidkey')).equals(null);
+      })
     });
-  });
 
-  describe('$add', function() {
-    it('should return a Firebase ref containing the record id', function() {
-      var fb = new Firebase('Empty://', {});
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('serialization', function() {
+      var fb;
 
-      expect(list.length).equals(0);
-      var ref = list.$add({foo: 'bar'});
-      fb.flush();
+      beforeEach(function() {
+        fb = new Firebase('Serialized://', {
+          a: {name: 'alice', address: {city: 'paris'}}
+        });
+      });
 
-      expect(list.$indexOf(ref.name())).equals(0);
-    });
+      function expectErrors(promise, errors) {
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err).instanceof(_getAsArray.ValidationError);
+          expect(err.errors).eqls(errors);
+        });
+      }
+
+      it('should not modify the record passed to $set', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var write = list.$set('a', list[0]);
+        expect(list[0].$id).equals('a');
+        fb.flush();
+        return write.then(function() {
+          expect(fb.getData().a).eqls({name: 'alice', address: {city: 'paris'}});
+        });
+      });
 
-    it('should add primitives', function() {
-      var fb = new Firebase('Empty://', {});
-      var list = getAsArray(fb);
-      fb.flush();
+      it('should deep copy the data', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var data = {name: 'bob', address: {city: 'rome'}};
+        list.$set('b', data);
+        data.address.city = 'oslo';
+        fb.flush();
+        expect(fb.getData().b.address.city).equals('rome');
+      });
 
-      expect(list.length).equals(0);
-      list.$add(true);
-      fb.flush();
+      it('should strip local fields at every level', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        list.$set('b', {name: 'bob', $tmp: 1, address: {city: 'rome', $open: true}, pets: [{$id: 'x', type: 'cat'}]});
+        fb.flush();
+        expect(fb.getData().b).eqls({name: 'bob', address: {city: 'rome'}, pets: [{type: 'cat'}]});
+      });
 
-      expect(list[0]['.value']).equals(true);
-    });
+      it('should convert dates to timestamps', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        list.$set('b', {born: new Date(1000)});
+        fb.flush();
+        expect(fb.getData().b).eqls({born: 1000});
+      });
 
-    it('should add objects', function() {
-      var fb = new Firebase('Empty://', {});
-      var list = getAsArray(fb);
-      fb.flush();
+      it('should convert dates to ISO strings', function() {
+        var list = getAsArray(fb, {serialize: {date: 'iso'}});
+        fb.flush();
+        list.$set('b', {born: new Date(1000)});
+        fb.flush();
+        expect(fb.getData().b).eqls({born: '1970-01-01T00:00:01.000Z'});
+      });
 
-      expect(list.length).equals(0);
-      var id = list.$add({foo: 'bar'}).name();
-      fb.flush();
+      it('should remove undefined values and functions', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        list.$set('b', {name: 'bob', age: undefined, greet: function() {}, tags: ['x', undefined]});
+        fb.flush();
+        expect(fb.getData().b).eqls({name: 'bob', tags: ['x', null]});
+      });
 
-      expect(list[0]).eqls({$id: id, foo: 'bar'});
-    });
+      it('should apply the configured rules', function() {
+        var list = getAsArray(fb, {serialize: {date: 'error', nan: 'null', undefined: 'error'}});
+        fb.flush();
+        return expectErrors(list.$set('b', {born: new Date(), score: NaN, address: {zip: undefined}}), [
+          {path: 'born', message: 'is a Date'},
+          {path: 'address/zip', message: 'is undefined'}
+        ]);
+      });
 
-    it('should call Firebase.push() to create a unique id', function() {
-      var fb = new Firebase('Empty://', {});
-      var list = getAsArray(fb);
-      fb.flush();
+      it('should reject NaN and Infinity', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        return expectErrors(list.$update('a', {score: NaN, stats: [1, Infinity]}), [
+          {path: 'score', message: 'is not a finite number'},
+          {path: 'stats/1', message: 'is not a finite number'}
+        ]);
+      });
 
-      expect(list.length).equals(0);
-      var ref = list.$add({foo: 'bar'});
-      fb.flush();
+      it('should reject keys which Firebase does not allow', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var data = {'a.b': 1, nested: {'x/y': 2, 'ok': 3, 'c#': 4, '': 5, 'sq[0]': 6}};
+        return expectErrors(list.$add(data), [
+          {path: 'a.b', message: 'is not a valid key'},
+          {path: 'nested/x/y', message: 'is not a valid key'},
+          {path: 'nested/c#', message: 'is not a valid key'},
+          {path: 'nested/', message: 'is not a valid key'},
+          {path: 'nested/sq[0]', message: 'is not a valid key'}
+        ]).then(function() {
+          fb.flush();
+          expect(_.keys(fb.getData())).eqls(['a']);
+        });
+      });
 
-      expect(ref.name()).equals(fb.getLastAutoId());
+      it('should reject circular references', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var data = {name: 'loop'};
+        data.self = data;
+        return expectErrors(list.$set('b', data), [{path: 'self', message: 'is a circular reference'}]);
+      });
     });
-  });
 
-  describe('$set', function() {
-    it('should update existing primitive', function() {
-      var fb = new Firebase('Simple://', {foo: 'bar', hello: 'world'});
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$on', function() {
+      it('should notify listeners for the given event type', function() {
+        var added = sinon.spy(), removed = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('child_added', added);
+        list.$on('child_removed', removed);
+        fb.flush();
+
+        expect(added.callCount).equals(list.length);
+        expect(added).calledWith('a', list[0]);
+        expect(removed).not.called;
+
+        fb.child('a').remove();
+        fb.flush();
+        expect(removed).calledOnce;
+        expect(removed.getCall(0).args[0]).equals('a');
+      });
+
+      it('should invoke listeners with the given context', function() {
+        var ctx = {};
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('child_changed', spy, ctx);
+        fb.flush();
+
+        fb.child('b').set({hello: 'world'});
+        fb.flush();
+        expect(spy).calledOnce;
+        expect(spy).calledOn(ctx);
+        expect(spy).calledWith('b', list[list.$indexOf('b')]);
+      });
+
+      it('should notify change listeners of every event', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('change', spy);
+        fb.flush();
+
+        fb.child('a').setPriority(100);
+        fb.flush();
+        expect(spy).calledWith('child_added', 'a');
+        expect(spy).calledWith('loaded', null, list);
+        expect(spy).calledWith('child_moved', 'a', list[list.length-1]);
+      });
 
-      expect(list[0]['.value']).equals('bar');
-      list.$set('foo', 'baz');
-      fb.flush();
+      it('should notify error listeners when a write fails', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        sinon.stub(console, 'error');
+        list.$on('error', spy);
+        fb.flush();
+
+        fb.child('a').failNext('set', new Error('PERMISSION_DENIED'));
+        var promise = list.$set('a', {hello: 'world'});
+        fb.flush();
+        return promise.catch(function() {
+          console.error.restore();
+          expect(spy).calledWith(null, 'a');
+        });
+      });
 
-      expect(list[0]['.value']).equals('baz');
+      it('should throw for an unknown event type', function() {
+        var list = getAsArray(fb);
+        expect(function() {
+          list.$on('notanevent', function() {});
+        }).to.throw(Error);
+      });
     });
 
-    it('should update existing object', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$off', function() {
+      it('should stop listening to events', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var oldLength = list.length;
+        list.$off();
+        fb.push({hello: 'world'});
+        fb.flush();
+        expect(list.length).equals(oldLength);
+      });
+
+      it('should remove a single listener', function() {
+        var a = sinon.spy(), b = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('child_added', a);
+        list.$on('child_added', b);
+        list.$off('child_added', a);
+        fb.flush();
 
-      var dat = fb.getData().a;
-      dat.test = true;
+        expect(a).not.called;
+        expect(b.callCount).equals(list.length);
+      });
 
-      list.$set('a', dat);
-      fb.flush();
+      it('should remove all listeners for an event type', function() {
+        var a = sinon.spy(), b = sinon.spy(), c = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('child_added', a);
+        list.$on('child_added', b);
+        list.$on('loaded', c);
+        list.$off('child_added');
+        fb.flush();
+
+        expect(a).not.called;
+        expect(b).not.called;
+        expect(c).calledOnce;
+        expect(list.length).is.above(0);
+      });
 
-      expect(list[0].test).equals(true);
+      it('should allow a listener to remove itself while being notified', function() {
+        var list = getAsArray(fb);
+        var spy = sinon.spy();
+        var once = list.$on('child_added', function() {
+          list.$off('child_added', once);
+        });
+        list.$on('child_added', spy);
+        fb.flush();
+        expect(spy.callCount).equals(list.length);
+      });
     });
 
-    it('should not replace object references', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$indexOf', function() {
+      it('should return correct index for existing records', function() {
+        var list = getAsArray(fb);
+        fb.flush();
 
-      var listCopy = list.slice();
+        var i = 0;
+        expect(list.length).is.gt(0);
+        _.each(fb.getData(), function(dat, key) {
+          expect(list.$indexOf(key)).equals(i++);
+        });
+      });
 
-      list.$set('a', {test: 'hello'});
-      fb.flush();
+      it('should return -1 for missing record', function() {
+        var list = getAsArray(fb);
+        fb.flush();
 
-      expect(list.length).is.above(0);
-      _.each(list, function(item, i) {
-        expect(list[i]).equals(listCopy[i]);
+        expect(list.length).is.gt(0);
+        expect(list.$indexOf('notakey')).equals(-1);
       });
     });
 
-    it('should create record if does not exist', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('key index', function() {
+      function fakeRef() {
+        var ref = { events: {}, name: function() { return 'bench'; } };
+        ref.on = function(event, fn) { ref.events[event] = fn; return fn; };
+        ref.off = function() {};
+        return ref;
+      }
+
+      function fakeSnap(key, data) {
+        return {
+          name: function() { return key; },
+          val: function() { return data; },
+          getPriority: function() { return null; }
+        };
+      }
+
+      function timeLoad(n) {
+        var best = Infinity;
+        for(var run = 0; run < 3; run++) {
+          var ref = fakeRef();
+          getAsArray(ref);
+          var start = Date.now(), prev = null;
+          for(var i = 0; i < n; i++) {
+            ref.events.child_added(fakeSnap('rec'+i, {i: i}), prev);
+            prev = 'rec'+i;
+          }
+          ref.events.child_changed(fakeSnap('rec0', {i: -1}));
+          best = Math.min(best, Date.now() - start);
+        }
+        return Math.max(best, 1);
+      }
+
+      it('should keep $indexOf consistent after removes and moves', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        fb.child('b').remove();
+        fb.child('a').setPriority(100);
+        fb.push({hello: 'world'});
+        fb.flush();
+
+        _.each(list, function(rec, i) {
+          expect(list.$indexOf(rec.$id)).equals(i);
+        });
+        expect(list.$indexOf('b')).equals(-1);
+      });
 
-      var len = list.length;
-      list.$set('notakey', {hello: 'world'});
-      fb.flush();
+      it('should place records after prevId', function() {
+        var ref = fakeRef();
+        var list = getAsArray(ref);
+        ref.events.child_added(fakeSnap('a', 1), null);
+        ref.events.child_added(fakeSnap('c', 3), 'a');
+        ref.events.child_added(fakeSnap('b', 2), 'a');
+        expect(_.pluck(list, '$id')).eqls(['a', 'b', 'c']);
+        expect(list.$indexOf('c')).equals(2);
+      });
 
-      expect(list.length).equals(len+1);
-      expect(list.$indexOf('notakey')).equals(len);
+      it('should load records in near-linear time', function() {
+        var small = timeLoad(10000);
+        var large = timeLoad(40000);
+        // 4x the records; a quadratic load would take ~16x as long
+        expect(large / small).is.below(10);
+      });
     });
-  });
 
-  describe('$update', function() {
-    it('should throw error if passed a primitive', function() {
-      var fb = new Firebase('Simple://', {foo: 'bar', hello: 'world'});
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('indexes', function() {
+      var fb;
+      beforeEach(function() {
+        fb = new Firebase('Indexes://', {
+          a: {email: 'a@x.com', status: 'open'},
+          b: {email: 'b@x.com', status: 'done'},
+          c: {email: 'c@x.com', status: 'open'}
+        });
+      });
+
+      it('should find the records with a value, in array order', function() {
+        var list = getAsArray(fb, {indexes: ['email', 'status']});
+        fb.flush();
+        expect(_.pluck(list.$findBy('status', 'open'), '$id')).eqls(['a', 'c']);
+        expect(list.$findBy('status', 'closed')).eqls([]);
+        expect(list.$findOneBy('email', 'b@x.com')).equals(list[1]);
+        expect(list.$findOneBy('email', 'z@x.com')).equals(null);
+      });
 
-      expect(function() {
-        list.$update('foo', true);
-      }).to.throw(Error);
-    });
+      it('should follow adds, changes and removes from the server', function() {
+        var list = getAsArray(fb, {indexes: ['status']});
+        fb.flush();
+        fb.child('a').set({email: 'a@x.com', status: 'done'});
+        fb.child('c').remove();
+        fb.child('d').set({status: 'open'});
+        fb.flush();
+        expect(_.pluck(list.$findBy('status', 'done'), '$id')).eqls(['a', 'b']);
+        expect(_.pluck(list.$findBy('status', 'open'), '$id')).eqls(['d']);
+      });
 
-    it('should replace a primitive', function() {
-      var fb = new Firebase('Simple://', {foo: 'bar', hello: 'world'});
-      var list = getAsArray(fb);
-      fb.flush();
+      it('should tell values of different types apart', function() {
+        fb = new Firebase('Indexes://', {a: {n: 1}, b: {n: '1'}});
+        var list = getAsArray(fb, {indexes: ['n']});
+        fb.flush();
+        expect(_.pluck(list.$findBy('n', 1), '$id')).eqls(['a']);
+        expect(_.pluck(list.$findBy('n', '1'), '$id')).eqls(['b']);
+      });
+
+      it('should scan the array for fields which are not indexed', function() {
+        var list = getAsArray(fb, {indexes: ['email']});
+        fb.flush();
+        expect(_.pluck(list.$findBy('status', 'open'), '$id')).eqls(['a', 'c']);
+      });
+
+      it('should trigger error and duplicate when a record breaks a unique index', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {indexes: [{field: 'email', unique: true}, 'status']});
+        var errors = sinon.spy();
+        list.$on('duplicate', spy);
+        list.$on('error', errors);
+        fb.flush();
+        expect(spy.callCount).equals(0);
+
+        fb.child('d').set({email: 'b@x.com', status: 'open'});
+        fb.flush();
+        expect(spy.calledOnce).equals(true);
+        expect(spy.args[0][0]).equals('d');
+        expect(spy.args[0][1].code).equals('unique');
+        expect(spy.args[0][1].field).equals('email');
+        expect(spy.args[0][1].keys).eqls(['b']);
+        expect(_.pluck(list.$findBy('email', 'b@x.com'), '$id')).eqls(['b', 'd']);
+        expect(errors).calledOnce;
+        expect(errors).calledWith('d', spy.args[0][1]);
+      });
 
-      list.$update('foo', {hello: 'world'});
-      fb.flush();
+      it('should only report a duplicate again when its value changes', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {indexes: [{field: 'email', unique: true}]});
+        list.$on('error', spy);
+        fb.flush();
+        fb.child('d').set({email: 'b@x.com'});
+        fb.flush();
+        expect(spy).calledOnce;
+
+        fb.child('d').setPriority(-1);
+        fb.child('d').update({status: 'open'});
+        fb.flush();
+        expect(list.$indexOf('d')).equals(0);
+        expect(spy).calledOnce;
+
+        fb.child('d').update({email: 'c@x.com'});
+        fb.flush();
+        expect(spy).calledTwice;
+        expect(spy.args[1][1].keys).eqls(['c']);
+      });
 
-      expect(list[0]).eqls({$id: 'foo', hello: 'world'});
+      it('should not report a record against itself when it changes', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {indexes: [{field: 'email', unique: true}]});
+        list.$on('duplicate', spy);
+        fb.flush();
+        fb.child('a').update({status: 'done'});
+        fb.child('b').update({email: 'c@x.com'});
+        fb.flush();
+        expect(spy.calledOnce).equals(true);
+        expect(spy.args[0][0]).equals('b');
+        fb.child('c').remove();
+        fb.flush();
+        expect(_.pluck(list.$findBy('email', 'c@x.com'), '$id')).eqls(['b']);
+      });
     });
 
-    it('should update object', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('queries', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Paged://', {a: 1, b: 2, c: 3, d: 4, e: 5});
+        _.each(['a', 'b', 'c', 'd', 'e'], function(k, i) {
+          fb.child(k).setPriority(i+1);
+        });
+        fb.flush();
+      });
+
+      it('should only load records in the query', function() {
+        var list = getAsArray(fb.limit(2));
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['d', 'e']);
+      });
+
+      it('should write to the ref the query belongs to', function() {
+        var list = getAsArray(fb.limit(2));
+        fb.flush();
+
+        list.$set('e', 10);
+        fb.flush();
+        expect(fb.getData().e).equals(10);
+        expect(list[1]['.value']).equals(10);
+      });
+
+      it('$loadMore should add records to the window', function() {
+        var list = getAsArray(fb);
+        list.$setWindow({limit: 2});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['d', 'e']);
+
+        list.$loadMore(2);
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['b', 'c', 'd', 'e']);
+      });
+
+      it('$loadMore should default to the initial page size', function() {
+        var list = getAsArray(fb);
+        list.$setWindow({limit: 2});
+        fb.flush();
+
+        list.$loadMore();
+        fb.flush();
+        expect(list).to.have.length(4);
+      });
+
+      it('$loadMore should preserve records that remain in the window', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        list.$setWindow({limit: 2});
+        fb.flush();
+
+        var recs = list.slice();
+        list.$on('change', spy);
+        list.$loadMore(2);
+        fb.flush();
+
+        expect(list[2]).equals(recs[0]);
+        expect(list[3]).equals(recs[1]);
+        expect(spy).calledWith('child_added', 'b');
+        expect(spy).calledWith('child_added', 'c');
+        expect(spy).not.calledWith('child_removed');
+        expect(spy).not.calledWith('child_changed');
+      });
+
+      it('$setWindow should remove records that leave the window once loaded', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var c = list[2];
+
+        var removed = sinon.spy();
+        list.$on('child_removed', removed);
+        var promise = list.$setWindow({start: 2, end: 3});
+        expect(list).to.have.length(5);
+        fb.flush();
+
+        expect(_.pluck(list, '$id')).eqls(['b', 'c']);
+        expect(list[1]).equals(c);
+        expect(removed.callCount).equals(3);
+        return promise.then(function(res) {
+          expect(res).equals(list);
+        });
+      });
+
+      it('$setWindow should keep the constraints of the query the array was created with', function() {
+        var list = getAsArray(fb.endAt(3));
+        list.$setWindow({limit: 2});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['b', 'c']);
+      });
+
+      it('$setWindow should reject a window the query cannot take', function() {
+        var query = fb.limit(2);
+        query.limit = function() { throw new Error('Limit was already set'); };
+        var list = getAsArray(query);
+        fb.flush();
+        return list.$setWindow({limit: 4}).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.message).equals('Limit was already set');
+          expect(_.pluck(list, '$id')).eqls(['d', 'e']);
+        });
+      });
+
+      it('$setWindow and $loadMore should reject when the read is denied', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        list.$on('error', spy);
+        list.$setWindow({limit: 2});
+        fb.flush();
+
+        sinon.stub(console, 'error');
+        var promise = list.$loadMore(2);
+        fb.forceCancel(new Error('PERMISSION_DENIED'));
+        console.error.restore();
+        fb.flush();
+
+        expect(spy).calledOnce;
+        expect(_.pluck(list, '$id')).eqls(['d', 'e']);
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.message).equals('PERMISSION_DENIED');
+          // a later window listens again
+          var next = list.$setWindow({limit: 3});
+          fb.flush();
+          return next;
+        }).then(function(res) {
+          expect(_.pluck(res, '$id')).eqls(['c', 'd', 'e']);
+        });
+      });
+
+      it('$setWindow should pick up changes to records it keeps', function() {
+        var list = getAsArray(fb);
+        list.$setWindow({limit: 3});
+        fb.flush();
 
-      list.$update('a', {test: true});
-      fb.flush();
+        list.$off();
+        fb.child('d').set(40);
+        fb.flush();
 
-      expect(list[0].test).equals(true);
+        var rec = list[1];
+        list.$setWindow({limit: 4});
+        fb.flush();
+        expect(list[2]).equals(rec);
+        expect(rec['.value']).equals(40);
+      });
     });
 
-    it('should not affect data that is not part of the update', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('sortBy', function() {
+      var fb;
 
-      var copy = _.assign({}, list[0]);
-      list.$update('a', {test: true});
-      fb.flush();
+      beforeEach(function() {
+        fb = new Firebase('Sorted://', {
+          a: {name: 'carol', createdAt: 3},
+          b: {name: 'alice', createdAt: 1},
+          c: {name: 'bob', createdAt: 2}
+        });
+      });
 
-      _.each(copy, function(v,k) {
-        expect(list[0][k]).equals(v);
-      })
+      it('should sort records by a field', function() {
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['b', 'c', 'a']);
+        expect(list.$indexOf('a')).equals(2);
+      });
+
+      it('should sort records with a comparator', function() {
+        var list = getAsArray(fb, {sortBy: function(x, y) { return y.createdAt - x.createdAt; }});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['a', 'c', 'b']);
+      });
+
+      it('should insert new records in sorted position', function() {
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+
+        fb.child('d').set({name: 'bert'});
+        fb.child('e').set({name: 'zed'});
+        fb.child('f').set({name: 'aaron'});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['f', 'b', 'd', 'c', 'a', 'e']);
+      });
+
+      it('should order records missing the field first', function() {
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+
+        fb.child('d').set({foo: 'bar'});
+        fb.flush();
+        expect(list[0].$id).equals('d');
+      });
+
+      it('should move records when the sort field changes', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+
+        list.$on('change', spy);
+        fb.child('b').update({name: 'dave'});
+        fb.flush();
+
+        expect(_.pluck(list, '$id')).eqls(['c', 'a', 'b']);
+        expect(spy).calledWith('child_changed', 'b');
+        expect(spy).calledWith('child_moved', 'b', list[2]);
+        _.each(list, function(rec, i) {
+          expect(list.$indexOf(rec.$id)).equals(i);
+        });
+      });
+
+      it('should not trigger child_moved when the position does not change', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+
+        list.$on('child_moved', spy);
+        fb.child('c').update({name: 'bobby', createdAt: 100});
+        fb.flush();
+        expect(spy).not.called;
+      });
+
+      it('should ignore priority changes from the server', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+
+        list.$on('child_moved', spy);
+        fb.child('b').setPriority(100);
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['b', 'c', 'a']);
+        expect(spy).not.called;
+      });
+
+      it('should sort optimistic writes', function() {
+        var list = getAsArray(fb, {sortBy: 'name', optimistic: true});
+        fb.flush();
+
+        list.$set('d', {name: 'bert'});
+        expect(_.pluck(list, '$id')).eqls(['b', 'd', 'c', 'a']);
+        list.$update('b', {name: 'zed'});
+        expect(_.pluck(list, '$id')).eqls(['d', 'c', 'a', 'b']);
+      });
     });
 
-    it('should not replace object references', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$filter and $map', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Derived://', {
+          a: {name: 'alice', age: 31},
+          b: {name: 'bob', age: 17},
+          c: {name: 'carol', age: 45}
+        });
+      });
+
+      function isAdult(rec) {
+        return rec.age >= 18;
+      }
+
+      it('should contain the matching records in order', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        expect(_.pluck(adults, '$id')).eqls(['a', 'c']);
+        expect(adults.$indexOf('c')).equals(1);
+        expect(adults.$indexOf('b')).equals(-1);
+      });
+
+      it('should keep updating when the parent\'s listeners are removed', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        list.$off('child_added');
+        list.$off('child_changed');
+        fb.child('d').set({name: 'dave', age: 50});
+        fb.child('b').update({age: 18});
+        fb.flush();
+        expect(_.pluck(adults, '$id')).eqls(['a', 'b', 'c', 'd']);
+      });
+
+      it('should add records which match', function() {
+        var list = getAsArray(fb);
+        var adults = list.$filter(isAdult);
+        var spy = sinon.spy();
+        adults.$on('child_added', spy);
+        fb.flush();
+        expect(_.pluck(adults, '$id')).eqls(['a', 'c']);
+
+        fb.child('aa').set({name: 'aaron', age: 20});
+        fb.child('e').set({name: 'eve', age: 4});
+        fb.flush();
+        expect(_.pluck(adults, '$id')).eqls(_.pluck(_.filter(list, isAdult), '$id'));
+        expect(adults.length).equals(3);
+        expect(spy).calledWith('aa');
+        expect(spy).not.calledWith('e');
+      });
+
+      it('should add or remove records when they change', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        var spy = sinon.spy();
+        adults.$on('change', spy);
+
+        fb.child('b').update({age: 18});
+        fb.child('a').update({age: 12});
+        fb.child('c').update({age: 46});
+        fb.flush();
+        expect(_.pluck(adults, '$id')).eqls(['b', 'c']);
+        expect(spy).calledWith('child_added', 'b');
+        expect(spy).calledWith('child_removed', 'a');
+        expect(spy).calledWith('child_changed', 'c');
+      });
+
+      it('should remove records', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        fb.child('a').remove();
+        fb.child('b').remove();
+        fb.flush();
+        expect(_.pluck(adults, '$id')).eqls(['c']);
+        expect(adults.$indexOf('c')).equals(0);
+      });
+
+      it('should follow moves in the parent', function() {
+        var list = getAsArray(fb, {sortBy: 'name'});
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        var spy = sinon.spy();
+        adults.$on('child_moved', spy);
+
+        fb.child('a').update({name: 'zed'});
+        fb.flush();
+        expect(_.pluck(adults, '$id')).eqls(['c', 'a']);
+        expect(spy).calledWith('a');
+      });
+
+      it('should map records in the order of the parent', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var names = list.$map(function(rec) { return rec.name; });
+        expect(names.slice()).eqls(['alice', 'bob', 'carol']);
+
+        fb.child('b').update({name: 'robert'});
+        fb.child('a').remove();
+        fb.child('d').set({name: 'dave'});
+        fb.flush();
+        expect(names.slice()).eqls(['robert', 'carol', 'dave']);
+        expect(names.$indexOf('d')).equals(2);
+      });
+
+      it('should chain derived arrays', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var names = list.$filter(isAdult).$map(function(rec) { return rec.name; });
+        expect(names.slice()).eqls(['alice', 'carol']);
+        fb.child('b').update({age: 30});
+        fb.flush();
+        expect(names.slice()).eqls(['alice', 'bob', 'carol']);
+      });
 
-      var listCopy = list.slice();
+      it('should stop updating when the parent is disposed', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var spy = sinon.spy();
+        var adults = list.$filter(isAdult);
+        var names = adults.$map(function(rec) { return rec.name; });
+        names.$on('change', spy);
+        list.$off();
+
+        fb.child('d').set({name: 'dave', age: 50});
+        fb.flush();
+        expect(adults.length).equals(2);
+        expect(names.length).equals(2);
+        expect(spy).not.called;
+      });
 
-      list.$update('a', {test: 'hello'});
-      fb.flush();
+      it('should stop updating when disposed itself', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        adults.$off();
+        fb.child('d').set({name: 'dave', age: 50});
+        fb.flush();
+        expect(adults.length).equals(2);
+        expect(list.length).equals(4);
+      });
 
-      expect(list.length).is.above(0);
-      _.each(list, function(item, i) {
-        expect(list[i]).equals(listCopy[i]);
+      it('should still dispose the other views along with the parent when disposed twice', function() {
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+        var adults = list.$filter(isAdult);
+        var names = list.$map(function(rec) { return rec.name; });
+        adults.$off();
+        adults.$off();
+        list.$off();
+        // an optimistic write still changes the disposed array, but no longer reaches its views
+        list.$set('d', {name: 'dave', age: 50});
+        expect(names.length).equals(3);
       });
     });
 
-    it('should create record if does not exist', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$aggregate and $groupBy', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Totals://', {
+          a: {team: 'red', amount: 10, score: 3},
+          b: {team: 'blue', amount: 5, score: 9},
+          c: {team: 'red', amount: 20, score: 'n/a'},
+          d: {team: 'blue', amount: 1}
+        });
+      });
+
+      it('should compute the aggregates of the records', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$aggregate({count: true, sum: 'amount', avg: 'amount', min: 'score', max: 'score'});
+        expect(_.omit(totals, '$on', '$off')).eqls({count: 4, sum: 36, avg: 9, min: 3, max: 9});
+      });
+
+      it('should keep updating when the parent\'s listeners are removed', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$aggregate({count: true});
+        var byTeam = list.$groupBy('team');
+        list.$off('child_added');
+        fb.child('e').set({team: 'red'});
+        fb.flush();
+        expect(totals.count).equals(5);
+        expect(_.pluck(byTeam.red, '$id')).eqls(['a', 'c', 'e']);
+      });
+
+      it('should keep up as records are added, changed and removed', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$aggregate({count: true, sum: 'amount', max: 'score'});
+        totals.$on('change', spy);
+
+        fb.child('e').set({team: 'red', amount: 4, score: 12});
+        fb.flush();
+        expect(totals).to.include({count: 5, sum: 40, max: 12});
+        expect(spy).calledOnce;
+        expect(spy).calledWith(totals, ['count', 'sum', 'max']);
+
+        fb.child('a').update({amount: 11});
+        fb.flush();
+        expect(totals).to.include({count: 5, sum: 41, max: 12});
+        expect(spy.lastCall.args[1]).eqls(['sum']);
+
+        fb.child('e').remove();
+        fb.flush();
+        expect(totals).to.include({count: 4, sum: 37, max: 9});
+      });
+
+      it('should not trigger change when no aggregate moves', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+        list.$aggregate({sum: 'amount'}).$on('change', spy);
+
+        fb.child('a').update({team: 'green'});
+        fb.flush();
+        expect(spy).not.called;
+      });
+
+      it('should find the next min and max when the current one is removed', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$aggregate({min: 'amount', max: 'amount'});
+
+        fb.child('d').remove();
+        fb.child('c').remove();
+        fb.flush();
+        expect(totals).to.include({min: 5, max: 10});
+        fb.child('a').remove();
+        fb.child('b').remove();
+        fb.flush();
+        expect(totals).to.include({min: null, max: null});
+      });
+
+      it('should count the records with a field, and accept functions', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$aggregate({count: 'score', sum: function(rec) { return rec.amount * 2; }});
+        expect(totals).to.include({count: 3, sum: 72});
+      });
+
+      it('should reject unknown aggregates', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(function() { list.$aggregate({median: 'amount'}); }).to.throw(/median/);
+      });
+
+      it('should aggregate derived arrays', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$filter(function(rec) { return rec.team === 'red'; }).$aggregate({sum: 'amount'});
+        expect(totals.sum).equals(30);
+
+        fb.child('b').update({team: 'red'});
+        fb.flush();
+        expect(totals.sum).equals(35);
+      });
+
+      it('should stop updating after $off', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var totals = list.$aggregate({count: true});
+        totals.$off();
+
+        fb.child('a').remove();
+        fb.flush();
+        expect(totals.count).equals(4);
+      });
+
+      it('should group the records by a field', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var teams = list.$groupBy('team');
+        expect(_.keys(_.omit(teams, '$on', '$off')).sort()).eqls(['blue', 'red']);
+        expect(_.pluck(teams.red, '$id')).eqls(['a', 'c']);
+        expect(_.pluck(teams.blue, '$id')).eqls(['b', 'd']);
+        expect(teams.red[0]).equals(list[0]);
+      });
+
+      it('should move records between groups as they change', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+        var teams = list.$groupBy('team');
+        teams.$on('change', spy);
+
+        fb.child('b').update({team: 'red'});
+        fb.flush();
+        expect(_.pluck(teams.red, '$id')).eqls(['a', 'b', 'c']);
+        expect(_.pluck(teams.blue, '$id')).eqls(['d']);
+        expect(spy).calledWith(teams, ['blue', 'red']);
+
+        fb.child('d').update({team: 'green'});
+        fb.flush();
+        expect(teams.blue).is.undefined;
+        expect(_.pluck(teams.green, '$id')).eqls(['d']);
+
+        fb.child('e').set({amount: 3});
+        fb.flush();
+        expect(spy).calledTwice;
+      });
+
+      it('should keep the groups in the order of the array', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var teams = list.$groupBy('team');
+
+        var write = list.$move('a', 100);
+        fb.flush();
+        return write.then(function() {
+          expect(_.pluck(teams.red, '$id')).eqls(['c', 'a']);
+        });
+      });
 
-      var len = list.length;
-      list.$update('notakey', {hello: 'world'});
-      fb.flush();
+      it('should group by values which are also the names of object properties', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+        var teams = list.$groupBy('team');
+        teams.$on('change', spy);
+
+        fb.child('b').update({team: 'toString'});
+        fb.child('d').update({team: '__proto__'});
+        fb.child('e').set({team: 'constructor'});
+        fb.flush();
+        expect(Object.keys(teams).sort()).eqls(['__proto__', 'constructor', 'red', 'toString']);
+        expect(_.pluck(teams.toString, '$id')).eqls(['b']);
+        expect(_.pluck(teams.constructor, '$id')).eqls(['e']);
+        expect(_.pluck(Object.getOwnPropertyDescriptor(teams, '__proto__').value, '$id')).eqls(['d']);
+        expect(spy).calledThrice;
+      });
 
-      expect(list.length).equals(len+1);
-      expect(list.$indexOf('notakey')).equals(len);
+      it('should leave out items of a $map which are not objects', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var mapped = list.$map(function(rec) { return rec.team === 'red'? rec : null; });
+        var totals = mapped.$aggregate({count: true, sum: 'amount'});
+        var teams = mapped.$groupBy('amount');
+        expect(totals.count).equals(4);
+        expect(totals.sum).equals(30);
+        expect(Object.keys(teams).sort()).eqls(['10', '20']);
+
+        fb.child('b').update({team: 'red'});
+        fb.flush();
+        expect(totals.sum).equals(35);
+        expect(_.pluck(teams['5'], '$id')).eqls(['b']);
+      });
     });
-  });
 
-  describe('$remove', function() {
-    it('should remove existing records', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('$search', function() {
+      var fb;
+      beforeEach(function() {
+        fb = new Firebase('Search://', {
+          a: {title: 'Buy milk', notes: 'and some bread'},
+          b: {title: 'Bread recipes', notes: 'Sourdough, rye; bread for the week'},
+          c: {title: 'Call the bank', notes: 'about the mortgage'}
+        });
+      });
+
+      it('should return the records containing every word, ranked', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(_.pluck(list.$search('bread'), '$id')).eqls(['b', 'a']);
+        expect(_.pluck(list.$search('BREAD milk'), '$id')).eqls(['a']);
+        expect(list.$search('cheese')).eqls([]);
+        expect(list.$search(' ,. ')).eqls([]);
+        expect(list.$search('bank')[0]).equals(list[2]);
+      });
+
+      it('should match the beginnings of words', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(_.pluck(list.$search('mor'), '$id')).eqls(['c']);
+        expect(_.pluck(list.$search('b'), '$id').sort()).eqls(['a', 'b', 'c']);
+        expect(list.$search('ilk')).eqls([]);
+      });
+
+      it('should rank whole words above prefixes', function() {
+        fb = new Firebase('Search://', {a: {title: 'carpet'}, b: {title: 'car'}});
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(_.pluck(list.$search('car'), '$id')).eqls(['b', 'a']);
+      });
+
+      it('should only search the fields given', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(_.pluck(list.$search('bread', {fields: ['title']}), '$id')).eqls(['b']);
+        expect(_.pluck(list.$search('bread'), '$id')).eqls(['b', 'a']);
+      });
+
+      it('should follow adds, changes and removes from the server', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        list.$search('milk');
+        fb.child('a').set({title: 'Buy eggs'});
+        fb.child('c').remove();
+        fb.child('d').set({title: 'Milk the cow'});
+        fb.flush();
+        expect(_.pluck(list.$search('milk'), '$id')).eqls(['d']);
+        expect(_.pluck(list.$search('eggs'), '$id')).eqls(['a']);
+        expect(list.$search('bank')).eqls([]);
+      });
+
+      it('should search records which are strings', function() {
+        fb = new Firebase('Search://', {a: 'hello world', b: 'goodbye'});
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(_.pluck(list.$search('wor'), '$id')).eqls(['a']);
+      });
+
+      it('should keep live results up to date', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+        var results = list.$search('bread', {live: true});
+        results.$on('change', spy);
+        expect(_.pluck(results, '$id')).eqls(['b', 'a']);
+
+        fb.child('c').update({notes: 'bread'});
+        fb.flush();
+        expect(_.pluck(results, '$id')).eqls(['b', 'a', 'c']);
+        expect(spy.calledOnce).equals(true);
+        expect(spy.args[0][0]).equals(results);
+
+        fb.child('a').update({notes: 'and some butter'});
+        fb.flush();
+        expect(_.pluck(results, '$id')).eqls(['b', 'c']);
+        expect(spy.callCount).equals(2);
+      });
+
+      it('should not trigger change when the results are the same', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+        list.$search('milk', {live: true}).$on('change', spy);
+        fb.child('c').update({notes: 'later'});
+        fb.flush();
+        expect(spy.callCount).equals(0);
+      });
+
+      it('should stop updating live results after $off()', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var results = list.$search('milk', {live: true});
+        results.$off();
+        fb.child('d').set({title: 'milk'});
+        fb.flush();
+        expect(_.pluck(results, '$id')).eqls(['a']);
+        expect(_.pluck(list.$search('milk'), '$id')).eqls(['a', 'd']);
+      });
 
-      var len = list.length;
-      list.$remove('a');
-      fb.flush();
+      it('should skip items of a $map which are not objects', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var mapped = list.$map(function(rec) { return rec.$id === 'b'? null : {title: rec.title}; });
+        expect(_.pluck(mapped.$search('bread'), 'title')).eqls([]);
+        expect(_.pluck(mapped.$search('milk', {fields: ['title']}), 'title')).eqls(['Buy milk']);
+      });
 
-      expect(list.length).equals(len-1);
-      expect(list.$indexOf('a')).equals(-1);
+      it('should search derived arrays', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var filtered = list.$filter(function(rec) { return rec.$id !== 'a'; });
+        expect(_.pluck(filtered.$search('bread'), '$id')).eqls(['b']);
+      });
     });
 
-    it('should not blow up if record does not exist', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('record factories', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Tasks://', {
+          a: {title: 'laundry', due: 100},
+          b: {title: 'taxes', due: 300}
+        });
+      });
+
+      function Task(data) {
+        _getAsArray.Record.call(this, data);
+      }
+      Task.prototype = Object.create(_getAsArray.Record.prototype);
+      Task.prototype.isOverdue = function(now) { return this.due < now; };
+
+      it('should create records with the recordFactory', function() {
+        var list = getAsArray(fb, {recordFactory: Task});
+        fb.flush();
+        expect(list[0]).instanceof(Task);
+        expect(list[0].$id).equals('a');
+        expect(list[0].isOverdue(200)).equals(true);
+        expect(list[1].isOverdue(200)).equals(false);
+      });
+
+      it('should update records in place', function() {
+        var list = getAsArray(fb, {recordFactory: Task});
+        fb.flush();
+        var rec = list[0];
+        fb.child('a').update({due: 500});
+        fb.flush();
+        expect(list[0]).equals(rec);
+        expect(rec.isOverdue(200)).equals(false);
+      });
+
+      it('should invoke the $updated hook', function() {
+        var spy = sinon.spy();
+        var Tasks = _getAsArray.$extend({ $updated: spy });
+        var wrapped = shape(fb);
+        var list = Tasks(wrapped.ref, wrapped.opts);
+        fb.flush();
+        fb.child('b').update({due: 50});
+        fb.flush();
+        expect(spy).calledOnce;
+        expect(spy).calledOn(list[1]);
+        expect(spy.firstCall.args[0]).eqls({title: 'taxes', due: 50, $id: 'b', $priority: null});
+        expect(list[1].due).equals(300);
+      });
+
+      it('should extend records with $extend', function() {
+        var Tasks = _getAsArray.$extend({
+          isOverdue: function(now) { return this.due < now; }
+        });
+        var wrapped = shape(fb);
+        var spy = sinon.spy();
+        var list = Tasks(wrapped.ref, spy, wrapped.opts);
+        fb.flush();
+        expect(list[1].isOverdue(400)).equals(true);
+        expect(list[1]).instanceof(_getAsArray.Record);
+        expect(spy).calledWith('child_added', 'a');
+      });
 
-      var len = list.length;
-      list.$remove('notakey');
-      fb.flush();
+      it('should serialize records with toJSON', function() {
+        var Tasks = _getAsArray.$extend({
+          toJSON: function() { return {title: this.title.toUpperCase(), due: this.due}; }
+        });
+        var wrapped = shape(fb);
+        var list = Tasks(wrapped.ref, wrapped.opts);
+        fb.flush();
+        list.$set('a', list[0]);
+        fb.flush();
+        expect(fb.getData().a).eqls({title: 'LAUNDRY', due: 100});
+        expect(list.$rawData('b')).eqls({title: 'TAXES', due: 300});
+      });
 
-      expect(list.length).equals(len);
-      expect(list.$indexOf('notakey')).equals(-1);
+      it('should pass records to $transaction as instances', function() {
+        var list = getAsArray(fb, {recordFactory: Task});
+        fb.flush();
+        var seen = [];
+        list.$transaction('a', function(rec) {
+          seen.push(rec instanceof Task);
+          return {title: rec.title, due: rec.due + 1};
+        });
+        fb.flush();
+        expect(seen[0]).equals(true);
+      });
     });
-  });
 
-  describe('$move', function() {
-    it('should move existing records', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('immutable mode', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Immutable://', {
+          a: {name: 'alice', tags: {x: true}},
+          b: {name: 'bob'},
+          c: {name: 'carol'}
+        });
+      });
+
+      it('should create a new snapshot for each change', function() {
+        var list = getAsArray(fb, {immutable: true});
+        var before = list.$snapshot();
+        fb.flush();
+        var after = list.$snapshot();
+        expect(before).not.equals(after);
+        expect(before.length).equals(0);
+        expect(_.pluck(after, '$id')).eqls(['a', 'b', 'c']);
+        expect(list.$snapshot()).equals(after);
+        expect(Object.isFrozen(after)).equals(true);
+      });
+
+      it('should replace changed records and share the others', function() {
+        var list = getAsArray(fb, {immutable: true});
+        fb.flush();
+        var before = list.$snapshot();
+        fb.child('a').update({name: 'alicia'});
+        fb.flush();
+        var after = list.$snapshot();
+        expect(after[0]).not.equals(before[0]);
+        expect(before[0].name).equals('alice');
+        expect(after[0]).eqls({name: 'alicia', tags: {x: true}, $id: 'a', $priority: null});
+        expect(after[1]).equals(before[1]);
+        expect(after[2]).equals(before[2]);
+      });
+
+      it('should keep filtered arrays in step with the records', function() {
+        var list = getAsArray(fb, {immutable: true});
+        fb.flush();
+        var named = list.$filter(function(rec) { return !!rec.name; });
+        fb.child('b').set({name: 'bobby'});
+        fb.child('c').setPriority(10);
+        fb.flush();
+        expect(named[1]).equals(list[1]);
+        expect(named[1].name).equals('bobby');
+        expect(named[2]).equals(list[2]);
+        expect(named[2].$priority).equals(10);
+      });
+
+      it('should not change earlier snapshots on removes and moves', function() {
+        var list = getAsArray(fb, {immutable: true, sortBy: 'name'});
+        fb.flush();
+        var before = list.$snapshot();
+        fb.child('b').remove();
+        fb.child('a').update({name: 'zed'});
+        fb.flush();
+        expect(_.pluck(before, '$id')).eqls(['a', 'b', 'c']);
+        expect(_.pluck(list.$snapshot(), '$id')).eqls(['c', 'a']);
+      });
+
+      it('should pass the snapshot to change listeners', function() {
+        var snapshots = [];
+        var list = getAsArray(fb, function(type, key, data, snapshot) {
+          snapshots.push(snapshot);
+        }, {immutable: true});
+        fb.flush();
+        expect(snapshots.length).equals(4);
+        expect(snapshots[0].length).equals(1);
+        expect(snapshots[2]).equals(list.$snapshot());
+        expect(snapshots[3]).equals(snapshots[2]);
+      });
+
+      it('should only copy the list once a snapshot is asked for', function() {
+        var list = getAsArray(fb, {immutable: true});
+        sinon.spy(list, 'slice');
+        fb.flush();
+        expect(list.slice).not.called;
+        var snapshot = list.$snapshot();
+        expect(_.pluck(snapshot, '$id')).eqls(['a', 'b', 'c']);
+        expect(list.$snapshot()).equals(snapshot);
+        expect(list.slice).calledOnce;
+      });
+
+      it('should copy the list once per batch', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy, {immutable: true, batch: true});
+        sinon.spy(list, 'slice');
+        fb.flush();
+        expect(list.slice).calledOnce;
+        expect(_.pluck(spy.firstCall.args[1].snapshot, '$id')).eqls(['a', 'b', 'c']);
+      });
+
+      it('should replace records when a pending write is confirmed', function() {
+        var list = getAsArray(fb, {immutable: true, optimistic: true});
+        fb.flush();
+        var write = list.$set('b', {name: 'robert'});
+        var pending = list.$snapshot()[1];
+        expect(pending.$pending).equals(true);
+        fb.flush();
+        return write.then(function() {
+          var rec = list.$snapshot()[1];
+          expect(rec).not.equals(pending);
+          expect(rec.$pending).equals(undefined);
+          expect(pending.$pending).equals(true);
+        });
+      });
+
+      it('should keep the mutable list up to date', function() {
+        var list = getAsArray(fb, {immutable: true});
+        fb.flush();
+        fb.child('c').update({name: 'carl'});
+        fb.flush();
+        expect(list[2].name).equals('carl');
+        expect(list.$indexOf('c')).equals(2);
+      });
 
-      var keys = _.keys(fb.getData());
-      keys.push(keys.splice(0, 1)[0]);
-      list.$move('a', 100);
-      fb.flush();
+      it('should keep the data of records whose writes are acknowledged', function() {
+        var list = getAsArray(fb, {immutable: true});
+        fb.flush();
+        var write = list.$set('b', {name: 'bobby'});
+        fb.flush();
+        return write.then(function() {
+          expect(list[1]).eqls({$id: 'b', $priority: null, name: 'bobby'});
+          expect(Object.isFrozen(list.$snapshot())).is.true;
+        });
+      });
 
-      _.each(keys, function(k, i) {
-        expect(list.$indexOf(k)).equals(i);
+      it('should return a copy of the list by default', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var snapshot = list.$snapshot();
+        expect(snapshot).not.equals(list);
+        expect(snapshot[0]).equals(list[0]);
       });
     });
 
-    it('should not change if record does not exist', function() {
-      var list = getAsArray(fb);
-      fb.flush();
+    describe('batching', function() {
+      var fb, clock;
+
+      beforeEach(function() {
+        fb = new Firebase('Batched://', {
+          a: {name: 'alice'},
+          b: {name: 'bob'},
+          c: {name: 'carol'}
+        });
+      });
+
+      afterEach(function() {
+        clock && clock.restore();
+        clock = null;
+      });
+
+      function batchesOf(spy) {
+        return _.pluck(_.filter(spy.args, function(args) { return args[0] === 'batch'; }), 1);
+      }
+
+      it('should report the initial load as one splice', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy, {batch: true});
+        fb.flush();
+        expect(_.pluck(spy.args, 0)).eqls(['batch', 'loaded']);
+        expect(spy.firstCall.args[1].splices).eqls([{index: 0, removed: [], added: list.slice(), addedCount: 3}]);
+        expect(spy.firstCall.args[1].changes).eqls({a: 'child_added', b: 'child_added', c: 'child_added'});
+      });
+
+      it('should coalesce the events within a tick', function(done) {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy, {batch: true});
+        fb.flush();
+        spy.reset();
+        var removed = list[1];
+
+        fb.child('b').remove();
+        fb.child('c').update({name: 'carl'});
+        fb.child('d').set({name: 'dave'});
+        fb.flush();
+        expect(spy).not.called;
+        setTimeout(function() {
+          expect(spy).calledOnce;
+          expect(spy).calledWith('batch');
+          var batch = spy.firstCall.args[1];
+          expect(batch.splices).eqls([
+            {index: 1, removed: [removed], added: [], addedCount: 0},
+            {index: 2, removed: [], added: [list[2]], addedCount: 1}
+          ]);
+          expect(batch.changes).eqls({b: 'child_removed', c: 'child_changed', d: 'child_added'});
+          done();
+        }, 0);
+      });
+
+      it('should describe the net change to each key', function(done) {
+        var list = getAsArray(fb, {batch: true});
+        fb.flush();
+        list.$on('batch', function(batch) {
+          expect(batch.changes).eqls({a: 'child_changed', c: 'child_changed'});
+          done();
+        });
+        fb.child('d').set({name: 'dave'});
+        fb.child('d').remove();
+        fb.child('a').update({name: 'alicia'});
+        fb.child('a').update({name: 'al'});
+        fb.child('c').remove();
+        fb.child('c').set({name: 'carl'});
+        fb.flush();
+      });
+
+      function replay(copy, batch) {
+        _.each(batch.splices, function(s) {
+          copy.splice.apply(copy, [s.index, s.removed.length].concat(s.added));
+        });
+        return copy;
+      }
+
+      it('should produce splices which can be replayed', function(done) {
+        var list = getAsArray(fb, {batch: true, sortBy: 'name'});
+        fb.flush();
+        var copy = list.slice();
+        list.$on('batch', function(batch) {
+          expect(replay(copy, batch)).eqls(list.slice());
+          done();
+        });
+        fb.child('a').update({name: 'zed'});
+        fb.child('e').set({name: 'aaron'});
+        fb.child('b').remove();
+        fb.flush();
+      });
+
+      it('should produce splices which can be replayed after mixed adds, removes and moves', function(done) {
+        fb = new Firebase('Batched://', {});
+        _.each('abcdefgh', function(k, i) {
+          fb.child(k).set({name: k});
+          fb.child(k).setPriority(i);
+        });
+        fb.flush();
+        var list = getAsArray(fb, {batch: true});
+        fb.flush();
+        var copy = list.slice();
+        list.$on('batch', function(batch) {
+          expect(_.pluck(copy, '$id')).eqls(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+          expect(replay(copy, batch)).eqls(list.slice());
+          expect(_.pluck(list, '$id')).eqls(['x', 'h', 'c', 'e', 'y', 'g', 'a', 'f']);
+          done();
+        });
+        fb.child('h').setPriority(-1);
+        fb.child('b').remove();
+        fb.child('x').set({name: 'x', '.priority': -2});
+        fb.child('f').setPriority(10);
+        fb.child('d').remove();
+        fb.child('y').set({name: 'y', '.priority': 5});
+        fb.child('a').setPriority(7);
+        fb.flush();
+      });
+
+      it('should still trigger the events of each type', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {batch: true});
+        list.$on('child_added', spy);
+        fb.flush();
+        expect(spy).calledThrice;
+      });
 
-      var keys = _.keys(fb.getData());
-      list.$move('notakey', 100);
-      fb.flush();
+      it('should wait for the configured window', function() {
+        clock = sinon.useFakeTimers();
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {batch: 100});
+        fb.flush();
+        list.$on('batch', spy);
+        fb.child('a').update({name: 'alicia'});
+        fb.flush();
+        clock.tick(50);
+        fb.child('b').update({name: 'robert'});
+        fb.flush();
+        expect(spy).not.called;
+        clock.tick(60);
+        expect(spy).calledOnce;
+        expect(spy.firstCall.args[0].changes).eqls({a: 'child_changed', b: 'child_changed'});
+      });
 
-      _.each(keys, function(k, i) {
-        expect(list.$indexOf(k)).equals(i);
+      it('should not trigger batches after $off', function() {
+        clock = sinon.useFakeTimers();
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy, {batch: 10});
+        fb.flush();
+        spy.reset();
+        fb.child('a').update({name: 'alicia'});
+        fb.flush();
+        list.$off();
+        clock.tick(20);
+        expect(spy).not.called;
       });
     });
+
+    describe('persistence', function() {
+      var fb, saved;
+
+      beforeEach(function() {
+        fb = new Firebase('Persisted://', {
+          a: {name: 'alice'},
+          c: {name: 'carol'}
+        });
+        saved = {
+          records: [
+            {key: 'a', value: {name: 'alicia'}, priority: null},
+            {key: 'b', value: {name: 'bob'}, priority: null},
+            {key: 'd', value: 'dave', priority: 2}
+          ]
+        };
+      });
+
+      // an in-memory storage adapter
+      function memory(data) {
+        var store = {list: data? _.cloneDeep(data) : null};
+        return {
+          store: store,
+          load: function(key) { return _.cloneDeep(store[key] || null); },
+          save: function(key, value) { store[key] = _.cloneDeep(value); }
+        };
+      }
+
+      it('should rehydrate the saved records at construction', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy, {storage: memory(saved), storageKey: 'list'});
+        expect(_.pluck(list, '$id')).eqls(['a', 'b', 'd']);
+        expect(list[0].name).equals('alicia');
+        expect(list[2]['.value']).equals('dave');
+        expect(list.$indexOf('d')).equals(2);
+        expect(spy).calledThrice;
+        expect(spy).calledWith('child_added', 'b');
+      });
+
+      it('should reconcile the saved records with the server', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {storage: memory(saved), storageKey: 'list'});
+        list.$on('change', spy);
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['a', 'c']);
+        expect(list[0].name).equals('alice');
+        expect(spy).calledWith('child_changed', 'a');
+        expect(spy).calledWith('child_added', 'c');
+        expect(spy).calledWith('child_removed', 'b');
+        expect(spy).calledWith('child_removed', 'd');
+        expect(spy).not.calledWith('child_added', 'a');
+      });
+
+      it('should save the records after they change', function(done) {
+        var storage = memory();
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+        fb.flush();
+        fb.child('b').setPriority(5);
+        fb.child('b').set({name: 'bob'});
+        fb.flush();
+        setTimeout(function() {
+          expect(storage.store.list.records).eqls(_.map(list, function(rec) {
+            return {key: rec.$id, value: {name: rec.name}, priority: rec.$id === 'b'? 5 : null};
+          }));
+          done();
+        }, 0);
+      });
+
+      it('should save pending changes when disposed', function() {
+        var storage = memory();
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+        fb.flush();
+        list.$off();
+        expect(_.pluck(storage.store.list.records, 'key')).eqls(['a', 'c']);
+      });
+
+      it('should rehydrate from storage which loads asynchronously', function(done) {
+        var storage = memory(saved);
+        var load = storage.load;
+        storage.load = function(key) {
+          var data = load(key);
+          return {then: function(fn) { setTimeout(function() { fn(data); }, 0); }};
+        };
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+        expect(list.length).equals(0);
+        setTimeout(function() {
+          expect(_.pluck(list, '$id')).eqls(['a', 'b', 'd']);
+          fb.flush();
+          expect(_.pluck(list, '$id')).eqls(['a', 'c']);
+          done();
+        }, 0);
+      });
+
+      it('should not rehydrate after the server has loaded', function(done) {
+        var storage = memory(saved);
+        var load = storage.load;
+        storage.load = function(key) {
+          var data = load(key);
+          return {then: function(fn) { setTimeout(function() { fn(data); }, 0); }};
+        };
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+        fb.flush();
+        setTimeout(function() {
+          expect(_.pluck(list, '$id')).eqls(['a', 'c']);
+          done();
+        }, 0);
+      });
+
+      it('should trigger an error if the storage cannot be read', function() {
+        var spy = sinon.spy();
+        sinon.stub(console, 'error');
+        try {
+          var list = getAsArray(fb, spy, {storage: {
+            load: function() { throw new Error('corrupt'); },
+            save: function() {}
+          }});
+        }
+        finally {
+          console.error.restore();
+        }
+        expect(spy).calledWith('error');
+        fb.flush();
+        expect(list.length).equals(2);
+      });
+
+      it('should trigger an error if the storage cannot be saved', function(done) {
+        var spy = sinon.spy();
+        var path = require('path'), os = require('os');
+        var storage = _getAsArray.storage.file(path.join(os.tmpdir(), 'getAsArray-missing', 'dir'));
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+        list.$on('error', spy);
+        sinon.stub(console, 'error');
+        fb.flush();
+        setTimeout(function() {
+          console.error.restore();
+          expect(spy).calledOnce;
+          expect(list.length).equals(2);
+          done();
+        }, 0);
+      });
+
+      it('should trigger an error if saving asynchronously fails', function(done) {
+        var spy = sinon.spy();
+        var storage = memory();
+        storage.save = function() { return Promise.reject(new Error('QuotaExceededError')); };
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+        list.$on('error', spy);
+        sinon.stub(console, 'error');
+        fb.flush();
+        setTimeout(function() {
+          console.error.restore();
+          expect(spy).calledOnce;
+          done();
+        }, 5);
+      });
+
+      it('should trigger an error if the data loaded asynchronously is malformed', function(done) {
+        var spy = sinon.spy();
+        var storage = memory();
+        storage.load = function() { return Promise.resolve({records: 'corrupt'}); };
+        var list = getAsArray(fb, spy, {storage: storage, storageKey: 'list'});
+        sinon.stub(console, 'error');
+        setTimeout(function() {
+          console.error.restore();
+          expect(spy).calledWith('error');
+          fb.flush();
+          expect(_.pluck(list, '$id')).eqls(['a', 'c']);
+          done();
+        }, 5);
+      });
+
+      it('should save to localStorage', function(done) {
+        var items = {};
+        var localStorage = {
+          getItem: function(key) { return items.hasOwnProperty(key)? items[key] : null; },
+          setItem: function(key, value) { items[key] = value; }
+        };
+        var storage = _getAsArray.storage.local(localStorage);
+        getAsArray(fb, {storage: storage, storageKey: 'list'});
+        fb.flush();
+        setTimeout(function() {
+          expect(JSON.parse(items.list).records.length).equals(2);
+          var list = getAsArray(new Firebase('Offline://'), {storage: storage, storageKey: 'list'});
+          expect(_.pluck(list, 'name')).eqls(['alice', 'carol']);
+          done();
+        }, 0);
+      });
+
+      it('should save to files', function() {
+        var fs = require('fs'), path = require('path'), os = require('os');
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'getAsArray-'));
+        try {
+          var storage = _getAsArray.storage.file(dir);
+          expect(storage.load('list')).equals(null);
+          getAsArray(fb, {storage: storage, storageKey: 'list'}).$off();
+          var list = getAsArray(fb, {storage: storage, storageKey: 'list'});
+          expect(list.length).equals(0);
+          fb.flush();
+          list.$off();
+          list = getAsArray(new Firebase('Offline://'), {storage: storage, storageKey: 'list'});
+          expect(_.pluck(list, '$id')).eqls(['a', 'c']);
+          list.$off();
+        }
+        finally {
+          fs.rmSync(dir, {recursive: true});
+        }
+      });
+    });
+
+    describe('$add', function() {
+      it('should resolve with a Firebase ref containing the record id', function() {
+        var fb = new Firebase('Empty://', {});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        expect(list.length).equals(0);
+        var promise = list.$add({foo: 'bar'});
+        fb.flush();
+
+        return promise.then(function(ref) {
+          expect(list.$indexOf(keyOf(ref))).equals(0);
+        });
+      });
+
+      it('should add primitives', function() {
+        var fb = new Firebase('Empty://', {});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        expect(list.length).equals(0);
+        list.$add(true);
+        fb.flush();
+
+        expect(list[0]['.value']).equals(true);
+      });
+
+      it('should add objects', function() {
+        var fb = new Firebase('Empty://', {});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        expect(list.length).equals(0);
+        var promise = list.$add({foo: 'bar'});
+        fb.flush();
+
+        return promise.then(function(ref) {
+          expect(list[0]).eqls({$id: keyOf(ref), foo: 'bar', $priority: null});
+        });
+      });
+
+      it('should call Firebase.push() to create a unique id', function() {
+        var fb = new Firebase('Empty://', {});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        expect(list.length).equals(0);
+        var promise = list.$add({foo: 'bar'});
+        fb.flush();
+
+        return promise.then(function(ref) {
+          expect(keyOf(ref)).equals(fb.getLastAutoId());
+        });
+      });
+    });
+
+    describe('$set', function() {
+      it('should update existing primitive', function() {
+        var fb = new Firebase('Simple://', {foo: 'bar', hello: 'world'});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        expect(list[0]['.value']).equals('bar');
+        list.$set('foo', 'baz');
+        fb.flush();
+
+        expect(list[0]['.value']).equals('baz');
+      });
+
+      it('should update existing object', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var dat = fb.getData().a;
+        dat.test = true;
+
+        list.$set('a', dat);
+        fb.flush();
+
+        expect(list[0].test).equals(true);
+      });
+
+      it('should not replace object references', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var listCopy = list.slice();
+
+        list.$set('a', {test: 'hello'});
+        fb.flush();
+
+        expect(list.length).is.above(0);
+        _.each(list, function(item, i) {
+          expect(list[i]).equals(listCopy[i]);
+        });
+      });
+
+      it('should create record if does not exist', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var len = list.length;
+        list.$set('notakey', {hello: 'world'});
+        fb.flush();
+
+        expect(list.length).equals(len+1);
+        expect(list.$indexOf('notakey')).equals(len);
+      });
+    });
+
+    describe('$update', function() {
+      it('should reject if passed a primitive', function() {
+        var fb = new Firebase('Simple://', {foo: 'bar', hello: 'world'});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return list.$update('foo', true).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err).to.be.an.instanceof(Error);
+        });
+      });
+
+      it('should replace a primitive', function() {
+        var fb = new Firebase('Simple://', {foo: 'bar', hello: 'world'});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$update('foo', {hello: 'world'});
+        fb.flush();
+
+        return write.then(function() {
+          expect(list[0]).eqls({$id: 'foo', hello: 'world', $priority: null});
+        });
+      });
+
+      it('should update object', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        list.$update('a', {test: true});
+        fb.flush();
+
+        expect(list[0].test).equals(true);
+      });
+
+      it('should not affect data that is not part of the update', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var copy = _.assign({}, list[0]);
+        list.$update('a', {test: true});
+        fb.flush();
+
+        _.each(copy, function(v,k) {
+          expect(list[0][k]).equals(v);
+        })
+      });
+
+      it('should not replace object references', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var listCopy = list.slice();
+
+        list.$update('a', {test: 'hello'});
+        fb.flush();
+
+        expect(list.length).is.above(0);
+        _.each(list, function(item, i) {
+          expect(list[i]).equals(listCopy[i]);
+        });
+      });
+
+      it('should create record if does not exist', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var len = list.length;
+        list.$update('notakey', {hello: 'world'});
+        fb.flush();
+
+        expect(list.length).equals(len+1);
+        expect(list.$indexOf('notakey')).equals(len);
+      });
+
+      it('should accept paths into the record', function() {
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+
+        var write = list.$update('a', {'profile/name': 'alice', 'profile/age': 30});
+        expect(list[0].profile).eqls({name: 'alice', age: 30});
+        fb.flush();
+
+        return write.then(function() {
+          expect(fb.getData().a.profile).eqls({name: 'alice', age: 30});
+          expect(list[0].profile).eqls({name: 'alice', age: 30});
+        });
+      });
+
+      it('should reject paths with an invalid part', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return list.$update('a', {'profile/na.me': 'alice'}).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.errors).eqls([{path: 'profile/na.me', message: 'is not a valid key'}]);
+        });
+      });
+
+      it('should not accept paths below the top level', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return list.$update('a', {profile: {'name/first': 'alice'}}).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.errors[0].path).equals('profile/name/first');
+        });
+      });
+    });
+
+    describe('write promises', function() {
+      beforeEach(function() {
+        sinon.stub(console, 'error');
+      });
+
+      afterEach(function() {
+        console.error.restore();
+      });
+
+      it('should resolve $set, $update, $remove and $move with the record ref', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var promises = [
+          list.$set('a', {hello: 'world'}),
+          list.$update('b', {foo: 'bar'}),
+          list.$remove('c'),
+          list.$move('d', 100)
+        ];
+        fb.flush();
+
+        return Promise.all(promises).then(function(refs) {
+          expect(_.map(refs, function(ref) { return keyOf(ref); })).eqls(['a', 'b', 'c', 'd']);
+        });
+      });
+
+      it('should reject with the original error and still trigger the callback', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy);
+        var err = new Error('PERMISSION_DENIED');
+        fb.flush();
+
+        fb.child('a').failNext('set', err);
+        var promise = list.$set('a', {hello: 'world'});
+        fb.flush();
+
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, function(e) {
+          expect(e).equals(err);
+          expect(spy).calledWith('error', null, 'a');
+        });
+      });
+
+      it('should reject $move when setPriority fails', function() {
+        var list = getAsArray(fb);
+        var err = new Error('PERMISSION_DENIED');
+        fb.flush();
+
+        fb.child('a').failNext('setPriority', err);
+        var promise = list.$move('a', 100);
+        fb.flush();
+
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, function(e) {
+          expect(e).equals(err);
+          expect(list.$indexOf('a')).equals(0);
+        });
+      });
+
+      it('should return thenables when there is no global Promise', function(done) {
+        var _Promise = global.Promise;
+        var list = getAsArray(fb);
+        fb.flush();
+
+        global.Promise = undefined;
+        var promise = list.$set('a', {hello: 'world'});
+        global.Promise = _Promise;
+        fb.flush();
+
+        expect(promise).not.to.be.instanceof(_Promise);
+        promise
+          .then(function(ref) {
+            expect(keyOf(ref)).equals('a');
+            return { then: function(resolve) { resolve('chained'); } };
+          })
+          .then(function(res) {
+            expect(res).equals('chained');
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    describe('optimistic writes', function() {
+      beforeEach(function() {
+        sinon.stub(console, 'error');
+      });
+
+      afterEach(function() {
+        console.error.restore();
+      });
+
+      it('should apply $set before the server responds', function() {
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+
+        var rec = list[0];
+        var promise = list.$set('a', {hello: 'mars'});
+        expect(list[0]).equals(rec);
+        expect(rec).eqls({$id: 'a', $pending: true, hello: 'mars', $priority: null});
+
+        fb.flush();
+        return promise.then(function() {
+          expect(rec).eqls({$id: 'a', hello: 'mars', $priority: null});
+        });
+      });
+
+      it('should apply $update and $add before the server responds', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, spy, {optimistic: true});
+        fb.flush();
+        var len = list.length;
+
+        list.$update('b', {foo: 'baz'});
+        list.$add({hello: 'world'});
+        expect(list[1].foo).equals('baz');
+        expect(list[1].aNumber).equals(2);
+        expect(list).to.have.length(len+1);
+        expect(list[len].hello).equals('world');
+        expect(spy).calledWith('child_changed', 'b');
+        expect(spy).calledWith('child_added', list[len].$id);
+
+        spy.reset();
+        fb.flush();
+        expect(list).to.have.length(len+1);
+        expect(spy).not.calledWith('child_added');
+        expect(spy).not.calledWith('child_changed');
+      });
+
+      it('should apply $remove before the server responds', function() {
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+        var len = list.length;
+
+        list.$remove('b');
+        expect(list).to.have.length(len-1);
+        expect(list.$indexOf('b')).equals(-1);
+        fb.flush();
+        expect(list).to.have.length(len-1);
+      });
+
+      it('should roll back a failed $set', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+
+        var rec = list[0];
+        var orig = list.$rawData('a');
+        fb.child('a').failNext('set', new Error('PERMISSION_DENIED'));
+        var promise = list.$set('a', {hello: 'mars'});
+        list.$on('child_changed', spy);
+        fb.flush();
+
+        return promise.catch(function() {
+          expect(list[0]).equals(rec);
+          expect(list.$rawData('a')).eqls(orig);
+          expect(rec.$pending).to.be.undefined;
+          expect(spy).calledWith('a', rec);
+        });
+      });
+
+      it('should restore the priority of records which are rolled back', function() {
+        fb.child('a').setPriority(5);
+        fb.child('b').setPriority(6);
+        fb.flush();
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+
+        fb.child('a').failNext('remove', new Error('PERMISSION_DENIED'));
+        fb.child('b').failNext('set', new Error('PERMISSION_DENIED'));
+        var removed = list.$remove('a');
+        var changed = list.$set('b', {name: 'robert'});
+        fb.flush();
+
+        return removed.then(null, function() {
+          return changed;
+        }).then(null, function() {
+          expect(list[list.$indexOf('a')].$priority).equals(5);
+          expect(list[list.$indexOf('b')].$priority).equals(6);
+          // the priority is kept by the next write
+          var write = list.$set('a', {name: 'alicia'});
+          fb.flush();
+          return write;
+        }).then(function() {
+          expect(fb.child('a').priority).equals(5);
+        });
+      });
+
+      it('should roll back a failed $add', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+        var len = list.length;
+
+        list.$on('child_removed', spy);
+        fb.push.restore();
+        sinon.stub(fb, 'push', function() {
+          var ref = fb.child('newrec');
+          ref.failNext('set', new Error('PERMISSION_DENIED'));
+          return ref;
+        });
+        var promise = list.$add({hello: 'world'});
+        expect(list).to.have.length(len+1);
+        fb.flush();
+
+        return promise.catch(function() {
+          expect(list).to.have.length(len);
+          expect(list.$indexOf('newrec')).equals(-1);
+          expect(spy).calledWith('newrec');
+        });
+      });
+
+      it('should roll back a failed $remove at the same position', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+        var len = list.length;
+
+        list.$on('child_added', spy);
+        fb.child('b').failNext('remove', new Error('PERMISSION_DENIED'));
+        var promise = list.$remove('b');
+        expect(list.$indexOf('b')).equals(-1);
+        fb.flush();
+
+        return promise.catch(function() {
+          expect(list).to.have.length(len);
+          expect(list.$indexOf('b')).equals(1);
+          expect(list.$rawData('b')).eqls(fb.getData().b);
+          expect(spy).calledWith('b');
+        });
+      });
+
+      it('should not apply writes locally by default', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        list.$set('a', {hello: 'mars'});
+        expect(list[0].hello).equals('world');
+        fb.flush();
+        expect(list[0].hello).equals('mars');
+      });
+    });
+
+    describe('pending writes', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Pending://', {
+          a: {name: 'alice'},
+          b: {name: 'bob'}
+        });
+        sinon.stub(console, 'error');
+      });
+
+      afterEach(function() {
+        console.error.restore();
+      });
+
+      it('should list the writes which have not been acknowledged', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var writes = [list.$set('a', {name: 'alicia'}), list.$update('b', {age: 30}), list.$remove('a')];
+        list.$move('b', 5);
+        expect(list.$pendingWrites()).eqls([
+          {key: 'a', type: 'set', data: {name: 'alicia'}},
+          {key: 'b', type: 'update', data: {age: 30}},
+          {key: 'a', type: 'remove', data: null},
+          {key: 'b', type: 'setPriority', data: 5}
+        ]);
+        fb.flush();
+        return Promise.all(writes).then(function() {
+          expect(list.$pendingWrites()).eqls([]);
+        });
+      });
+
+      it('should mark records with $pending until the write is acknowledged', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var write = list.$update('a', {age: 20});
+        expect(list[0].$pending).equals(true);
+        expect(list.$rawData('a')).eqls({name: 'alice'});
+        fb.flush();
+        return write.then(function() {
+          expect(list[0]).eqls({$id: 'a', name: 'alice', age: 20, $priority: null});
+        });
+      });
+
+      it('should mark added records which arrive before the write is acknowledged', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var write = list.$add({name: 'carol'});
+        var seen = [];
+        list.$on('child_added', function(key, rec) { seen.push(rec.$pending); });
+        fb.flush();
+        return write.then(function() {
+          expect(seen).eqls([true]);
+          expect(list[2].$pending).equals(undefined);
+        });
+      });
+
+      it('should set $error when a write fails', function() {
+        var list = getAsArray(fb);
+        var err = new Error('PERMISSION_DENIED');
+        fb.flush();
+        fb.child('a').failNext('set', err);
+        var write = list.$set('a', {name: 'alicia'});
+        fb.flush();
+        return write.then(null, function(e) {
+          expect(e).equals(err);
+          expect(list[0].$error).equals(err);
+          expect(list[0].$pending).equals(undefined);
+          expect(list.$rawData('a')).eqls({name: 'alice'});
+          expect(list.$pendingWrites()).eqls([]);
+
+          var retry = list.$set('a', {name: 'alicia'});
+          fb.flush();
+          return retry;
+        }).then(function() {
+          expect(list[0].$error).equals(undefined);
+          expect(list[0].name).equals('alicia');
+        });
+      });
+
+      it('should keep the metadata in optimistic mode', function() {
+        var list = getAsArray(fb, {optimistic: true});
+        var err = new Error('PERMISSION_DENIED');
+        fb.flush();
+        fb.child('b').failNext('set', err);
+        var write = list.$set('b', {name: 'robert'});
+        expect(list[1]).eqls({$id: 'b', name: 'robert', $pending: true, $priority: null});
+        fb.flush();
+        return write.then(null, function() {
+          expect(list[1]).eqls({$id: 'b', name: 'bob', $error: err, $priority: null});
+        });
+      });
+
+      it('should remove writes which throw from the queue', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        var write = list.$update('a', true);
+        expect(list.$pendingWrites()).eqls([]);
+        expect(list[0].$pending).equals(undefined);
+        return write.then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err).to.be.an.instanceof(Error);
+        });
+      });
+
+      it('should ignore persistWrites without storage', function(done) {
+        var list = getAsArray(fb, {persistWrites: true});
+        fb.flush();
+        list.$set('a', {name: 'alicia'});
+        fb.flush();
+        setTimeout(function() {
+          expect(list[0].name).equals('alicia');
+          done();
+        }, 0);
+      });
+
+      it('should replay saved writes after a restart', function(done) {
+        var store = {};
+        var storage = {
+          load: function(key) { return store[key]? _.cloneDeep(store[key]) : null; },
+          save: function(key, data) { store[key] = _.cloneDeep(data); }
+        };
+        var list = getAsArray(fb, {storage: storage, storageKey: 'list', persistWrites: true});
+        fb.flush();
+        list.$set('a', {name: 'alicia'});
+        list.$add({name: 'carol'});
+        // the app is closed before the server acknowledges the writes
+        list.$off();
+        expect(_.pluck(store.list.writes, 'type')).eqls(['set', 'set']);
+
+        var restarted = new Firebase('Restarted://', {a: {name: 'alice'}, b: {name: 'bob'}});
+        var list2 = getAsArray(restarted, {storage: storage, storageKey: 'list', persistWrites: true});
+        expect(list2.$pendingWrites().length).equals(2);
+        restarted.flush();
+        setTimeout(function() {
+          expect(restarted.getData().a).eqls({name: 'alicia'});
+          expect(_.pluck(restarted.getData(), 'name')).eqls(['alicia', 'bob', 'carol']);
+          expect(list2.$pendingWrites()).eqls([]);
+          expect(store.list.writes).eqls([]);
+          done();
+        }, 0);
+      });
+    });
+
+    describe('conflicts', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Versioned://', {
+          a: {name: 'alice', version: 1},
+          b: {name: 'bob', version: 4}
+        });
+      });
+
+      // another client changes the record before this one's write reaches the server
+      function changeRemotely(key, data) {
+        fb.child(key).set(data);
+      }
+
+      function nextConflict(list) {
+        return new Promise(function(resolve) {
+          list.$on('conflict', function(key, conflict) {
+            resolve(_.assign({key: key}, conflict));
+          });
+        });
+      }
+
+      it('should increment the version of records which are written', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        var writes = [list.$set('a', {name: 'alicia', version: 1}), list.$update('b', {name: 'robert'})];
+        fb.flush();
+        return Promise.all(writes).then(function() {
+          expect(fb.getData().a).eqls({name: 'alicia', version: 2});
+          expect(fb.getData().b).eqls({name: 'robert', version: 5});
+        });
+      });
+
+      it('should base quick writes from this client on its own earlier writes', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        var spy = sinon.spy();
+        fb.flush();
+        list.$on('conflict', spy);
+        var writes = [list.$update('a', {name: 'y'}), list.$update('a', {name: 'z'}), list.$set('a', {name: 'zed'})];
+        fb.flush();
+        return Promise.all(writes).then(function() {
+          expect(spy.callCount).equals(0);
+          expect(fb.getData().a).eqls({name: 'zed', version: 4});
+        });
+      });
+
+      it('should use nextVersion to create versions', function() {
+        var list = getAsArray(fb, {versionField: 'version', nextVersion: function() { return 'x'; }});
+        fb.flush();
+        var write = list.$add({name: 'carol'});
+        fb.flush();
+        return write.then(function(ref) {
+          expect(fb.getData()[keyOf(ref)]).eqls({name: 'carol', version: 'x'});
+        });
+      });
+
+      it('should trigger a conflict event when the server has another version', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        var conflicted = nextConflict(list);
+        changeRemotely('a', {name: 'al', version: 2});
+        var write = list.$update('a', {name: 'alicia'});
+        fb.flush();
+        return conflicted.then(function(conflict) {
+          expect(conflict.key).equals('a');
+          expect(conflict.local).eqls({name: 'alicia', version: 1});
+          expect(conflict.base).eqls({name: 'alice', version: 1});
+          expect(conflict.remote).eqls({name: 'al', version: 2});
+          expect(fb.getData().a).eqls({name: 'al', version: 2});
+          expect(list.$pendingWrites().length).equals(1);
+          conflict.resolve('theirs');
+          return write;
+        }).then(function() {
+          expect(list[0]).eqls({$id: 'a', name: 'al', version: 2, $priority: null});
+          expect(list.$pendingWrites()).eqls([]);
+        });
+      });
+
+      it('should overwrite the server when resolved with mine', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        var conflicted = nextConflict(list);
+        changeRemotely('b', {name: 'bobby', version: 5});
+        var write = list.$set('b', {name: 'robert', version: 4});
+        fb.flush();
+        return conflicted.then(function(conflict) {
+          conflict.resolve('mine');
+          fb.flush();
+          return write;
+        }).then(function() {
+          expect(fb.getData().b).eqls({name: 'robert', version: 6});
+        });
+      });
+
+      it('should write the merged value when resolved with merge', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        var conflicted = nextConflict(list);
+        changeRemotely('a', {name: 'al', version: 3});
+        var write = list.$update('a', {name: 'alicia'});
+        fb.flush();
+        return conflicted.then(function(conflict) {
+          conflict.resolve('merge', {name: conflict.local.name + ' & ' + conflict.remote.name});
+          fb.flush();
+          return write;
+        }).then(function() {
+          expect(fb.getData().a).eqls({name: 'alicia & al', version: 4});
+        });
+      });
+
+      it('should fail when nobody handles the conflict', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        sinon.stub(console, 'error');
+        changeRemotely('a', {name: 'al', version: 2});
+        var write = list.$update('a', {name: 'alicia'});
+        fb.flush();
+        return write.then(function() {
+          console.error.restore();
+          throw new Error('should not resolve');
+        }, function(err) {
+          console.error.restore();
+          expect(err.code).equals('conflict');
+          expect(list[0].$error).equals(err);
+          expect(fb.getData().a).eqls({name: 'al', version: 2});
+        });
+      });
+
+      it('should roll optimistic writes back to the remote value', function() {
+        var list = getAsArray(fb, {versionField: 'version', optimistic: true});
+        fb.flush();
+        var conflicted = nextConflict(list);
+        changeRemotely('a', {name: 'al', version: 2});
+        var write = list.$update('a', {name: 'alicia'});
+        expect(list[0].name).equals('alicia');
+        fb.flush();
+        return conflicted.then(function(conflict) {
+          conflict.resolve('theirs');
+          return write;
+        }).then(function() {
+          expect(list[0]).eqls({$id: 'a', name: 'al', version: 2, $priority: null});
+        });
+      });
+
+      it('should only allow a conflict to be resolved once', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        var conflicted = nextConflict(list);
+        changeRemotely('a', {name: 'al', version: 2});
+        list.$update('a', {name: 'alicia'});
+        fb.flush();
+        return conflicted.then(function(conflict) {
+          expect(function() { conflict.resolve('ours'); }).to.throw(Error);
+          conflict.resolve('theirs');
+          expect(function() { conflict.resolve('mine'); }).to.throw(Error);
+        });
+      });
+    });
+
+    describe('schema', function() {
+      var fb, schema;
+
+      beforeEach(function() {
+        fb = new Firebase('Validated://', {
+          a: {title: 'laundry', done: false, tags: ['home']},
+          b: {title: 'taxes', done: true}
+        });
+        schema = {
+          type: 'object',
+          required: ['title', 'done'],
+          additionalProperties: false,
+          properties: {
+            title: {type: 'string', minLength: 1},
+            done: {type: 'boolean'},
+            priority: {type: 'integer', minimum: 1, maximum: 3},
+            tags: {type: 'array', items: {type: 'string', pattern: '^[a-z]+$'}}
+          }
+        };
+      });
+
+      function expectInvalid(promise, errors) {
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err).instanceof(_getAsArray.ValidationError);
+          expect(err).instanceof(Error);
+          expect(err.errors).eqls(errors);
+        });
+      }
+
+      it('should reject invalid records before writing them', function() {
+        var list = getAsArray(fb, {schema: schema});
+        fb.flush();
+        var calls = fb.child('a').set.callCount;
+        return expectInvalid(list.$set('a', {title: '', done: 'no', color: 'red', tags: ['ok', 'Not OK']}), [
+          {path: 'title', message: 'must have at least 1 characters'},
+          {path: 'done', message: 'must be of type boolean'},
+          {path: 'color', message: 'is not allowed'},
+          {path: 'tags/1', message: 'must match ^[a-z]+$'}
+        ]).then(function() {
+          expect(fb.child('a').set.callCount).equals(calls);
+          expect(fb.getData().a.title).equals('laundry');
+        });
+      });
+
+      it('should validate $add', function() {
+        var list = getAsArray(fb, {schema: schema});
+        fb.flush();
+        return expectInvalid(list.$add({title: 'dishes', priority: 1.5}), [
+          {path: 'done', message: 'is required'},
+          {path: 'priority', message: 'must be of type integer'}
+        ]).then(function() {
+          fb.flush();
+          expect(_.keys(fb.getData())).eqls(['a', 'b']);
+        });
+      });
+
+      it('should validate the result of $update', function() {
+        var list = getAsArray(fb, {schema: schema});
+        fb.flush();
+        var write = list.$update('b', {priority: 2});
+        fb.flush();
+        return write.then(function() {
+          return expectInvalid(list.$update('b', {priority: 5}), [
+            {path: 'priority', message: 'must be at most 3'}
+          ]);
+        }).then(function() {
+          expect(fb.getData().b.priority).equals(2);
+        });
+      });
+
+      it('should accept a validator function', function() {
+        var list = getAsArray(fb, {schema: function(rec) {
+          return rec.title === 'taxes'? [{path: 'title', message: 'is too depressing'}] : [];
+        }});
+        fb.flush();
+        var write = list.$set('a', {title: 'laundry', done: true});
+        fb.flush();
+        return write.then(function() {
+          return expectInvalid(list.$set('a', {title: 'taxes'}), [{path: 'title', message: 'is too depressing'}]);
+        });
+      });
+
+      it('should not validate incoming records by default', function() {
+        fb.child('c').set({title: 42});
+        var list = getAsArray(fb, {schema: schema});
+        fb.flush();
+        expect(list.length).equals(3);
+      });
+
+      it('should trigger invalid instead of adding invalid server records', function() {
+        var spy = sinon.spy();
+        fb.child('c').set({title: 42, done: false});
+        var list = getAsArray(fb, {schema: schema, validateIncoming: true});
+        list.$on('invalid', spy);
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['a', 'b']);
+        expect(spy).calledOnce;
+        expect(spy.firstCall.args[0]).equals('c');
+        expect(spy.firstCall.args[1].errors).eqls([{path: 'title', message: 'must be of type string'}]);
+        expect(spy.firstCall.args[1].value).eqls({title: 42, done: false});
+      });
+
+      it('should not apply invalid changes from the server', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb, {schema: schema, validateIncoming: true});
+        fb.flush();
+        list.$on('change', spy);
+        fb.child('a').update({done: 'maybe'});
+        fb.flush();
+        expect(list[0].done).equals(false);
+        expect(spy).calledWith('invalid', 'a');
+        expect(spy).not.calledWith('child_changed');
+      });
+
+      it('should add invalid records once they are fixed', function() {
+        fb.child('c').set({title: 42, done: false});
+        var list = getAsArray(fb, {schema: schema, validateIncoming: true});
+        fb.flush();
+        fb.child('c').update({title: 'dishes'});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['a', 'b', 'c']);
+        expect(list[2].title).equals('dishes');
+      });
+    });
+
+    describe('$transaction', function() {
+      it('should pass the current record to the update function', function() {
+        var list = getAsArray(fb);
+        var spy = sinon.spy(function(rec) { return rec; });
+        fb.flush();
+
+        list.$transaction('a', spy);
+        fb.flush();
+        expect(spy).calledWith(_.assign({$id: 'a'}, fb.getData().a));
+      });
+
+      it('should box primitives in .value', function() {
+        var fb = new Firebase('Counters://', {votes: 1});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var promise = list.$transaction('votes', function(rec) {
+          expect(rec.$id).equals('votes');
+          rec['.value']++;
+          return rec;
+        });
+        fb.flush();
+
+        return promise.then(function(res) {
+          expect(res.committed).equals(true);
+          expect(res.snapshot.val()).equals(2);
+          expect(list[0]['.value']).equals(2);
+        });
+      });
+
+      it('should pass a null .value for a missing record', function() {
+        var list = getAsArray(fb);
+        var spy = sinon.spy(function(rec) { return (rec['.value'] || 0) + 1; });
+        fb.flush();
+
+        var promise = list.$transaction('counter', spy);
+        fb.flush();
+
+        return promise.then(function(res) {
+          expect(spy).calledWith({$id: 'counter', '.value': null});
+          expect(res.committed).equals(true);
+          expect(fb.getData().counter).equals(1);
+        });
+      });
+
+      it('should not send local fields to the server', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var promise = list.$transaction('a', function(rec) {
+          rec.aNumber++;
+          return rec;
+        });
+        fb.flush();
+
+        return promise.then(function() {
+          expect(fb.getData().a).eqls({hello: 'world', aNumber: 2, aBoolean: false});
+        });
+      });
+
+      it('should resolve with committed false when aborted', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var promise = list.$transaction('a', function() {});
+        fb.flush();
+
+        return promise.then(function(res) {
+          expect(res.committed).equals(false);
+          expect(fb.getData().a.aNumber).equals(1);
+        });
+      });
+
+      it('should retry when the data changed before it was applied', function() {
+        var list = getAsArray(fb);
+        var seen = [];
+        fb.flush();
+
+        fb.child('a').update({aNumber: 10});
+        var promise = list.$transaction('a', function(rec) {
+          seen.push(rec.aNumber);
+          rec.aNumber++;
+          return rec;
+        });
+        fb.flush();
+
+        return promise.then(function(res) {
+          expect(seen).eqls([1, 10]);
+          expect(res.committed).equals(true);
+          expect(list[0].aNumber).equals(11);
+        });
+      });
+
+      it('should reject with the Firebase error', function() {
+        var list = getAsArray(fb);
+        var err = new Error('PERMISSION_DENIED');
+        sinon.stub(console, 'error');
+        fb.flush();
+
+        fb.child('a').failNext('transaction', err);
+        var promise = list.$transaction('a', function(rec) { return rec; });
+        fb.flush();
+        console.error.restore();
+
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, function(e) {
+          expect(e).equals(err);
+        });
+      });
+    });
+
+    describe('$remove', function() {
+      it('should remove existing records', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var len = list.length;
+        list.$remove('a');
+        fb.flush();
+
+        expect(list.length).equals(len-1);
+        expect(list.$indexOf('a')).equals(-1);
+      });
+
+      it('should not blow up if record does not exist', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var len = list.length;
+        list.$remove('notakey');
+        fb.flush();
+
+        expect(list.length).equals(len);
+        expect(list.$indexOf('notakey')).equals(-1);
+      });
+    });
+
+    describe('$move', function() {
+      it('should move existing records', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var keys = _.keys(fb.getData());
+        keys.push(keys.splice(0, 1)[0]);
+        list.$move('a', 100);
+        fb.flush();
+
+        _.each(keys, function(k, i) {
+          expect(list.$indexOf(k)).equals(i);
+        });
+      });
+
+      it('should not change if record does not exist', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var keys = _.keys(fb.getData());
+        list.$move('notakey', 100);
+        fb.flush();
+
+        _.each(keys, function(k, i) {
+          expect(list.$indexOf(k)).equals(i);
+        });
+      });
+    });
+
+    describe('$moveTo, $moveBefore and $moveAfter', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Ordered://', {a: 'alice', b: 'bob', c: 'carol', d: 'dave'});
+        _.each(['a', 'b', 'c', 'd'], function(key, i) {
+          fb.child(key).setPriority((i + 1) * 1000);
+        });
+        fb.flush();
+      });
+
+      function move(list, method, key, arg) {
+        var write = list[method](key, arg);
+        fb.flush();
+        return write;
+      }
+
+      it('should give the record a priority between its new neighbours', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return move(list, '$moveTo', 'd', 1).then(function() {
+          expect(fb.child('d').priority).equals(1500);
+          expect(_.pluck(list, '$id')).eqls(['a', 'd', 'b', 'c']);
+        });
+      });
+
+      it('should move records to either end', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return move(list, '$moveTo', 'c', 0).then(function() {
+          expect(fb.child('c').priority).equals(0);
+          return move(list, '$moveTo', 'a', 10);
+        }).then(function() {
+          expect(fb.child('a').priority).equals(5000);
+          expect(_.pluck(list, '$id')).eqls(['c', 'b', 'd', 'a']);
+        });
+      });
+
+      it('should only write the moved record', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return move(list, '$moveTo', 'a', 2).then(function() {
+          expect(fb.child('a').setPriority.callCount).equals(2);
+          expect(fb.child('b').setPriority.callCount).equals(1);
+          expect(_.pluck(list, '$id')).eqls(['b', 'c', 'a', 'd']);
+        });
+      });
+
+      it('should move records before or after another', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return move(list, '$moveBefore', 'a', 'c').then(function() {
+          expect(_.pluck(list, '$id')).eqls(['b', 'a', 'c', 'd']);
+          return move(list, '$moveAfter', 'd', 'b');
+        }).then(function() {
+          expect(_.pluck(list, '$id')).eqls(['b', 'd', 'a', 'c']);
+          return move(list, '$moveAfter', 'b', 'c');
+        }).then(function() {
+          expect(_.pluck(list, '$id')).eqls(['d', 'a', 'c', 'b']);
+        });
+      });
+
+      it('should rebalance the priorities when there is no room between the neighbours', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        fb.child('b').setPriority(1000 + 1e-13);
+        fb.flush();
+
+        return move(list, '$moveTo', 'd', 1).then(function(ref) {
+          expect(keyOf(ref)).equals('d');
+          expect(_.pluck(list, '$id')).eqls(['a', 'd', 'b', 'c']);
+          expect(_.pluck(list, '$priority')).eqls([1000, 2000, 3000, 4000]);
+          expect(fb.child('a').setPriority.callCount).equals(1);
+        });
+      });
+
+      it('should rebalance records without priorities', function() {
+        var fb = new Firebase('Unordered://', {a: 'alice', b: 'bob', c: 'carol'});
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$moveTo('c', 0);
+        fb.flush();
+        return write.then(function() {
+          expect(_.pluck(list, '$id')).eqls(['c', 'a', 'b']);
+          expect(_.pluck(list, '$priority')).eqls([1000, 2000, 3000]);
+        });
+      });
+
+      it('should reject unknown keys', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return list.$moveTo('z', 0).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.message).to.contain('z');
+          return list.$moveBefore('a', 'z');
+        }).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.message).to.contain('z');
+        });
+      });
+
+      it('should reject moves in sorted arrays', function() {
+        var list = getAsArray(fb, {sortBy: '.value'});
+        fb.flush();
+
+        return list.$moveTo('a', 2).then(function() {
+          throw new Error('should not resolve');
+        }, function(err) {
+          expect(err.message).to.contain('sortBy');
+          expect(fb.child('a').setPriority.callCount).equals(1);
+        });
+      });
+    });
+
+    describe('$batch and $commit', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Batch://', {a: {name: 'alice'}, b: {name: 'bob', age: 30}, c: 'carol', d: 'dave'});
+        _.each(['a', 'b', 'c', 'd'], function(key, i) {
+          fb.child(key).setPriority(i + 1);
+        });
+        fb.flush();
+      });
+
+      function expectRejected(promise, check) {
+        return promise.then(function() {
+          throw new Error('should not resolve');
+        }, check);
+      }
+
+      it('should refuse sets and updates with the versionField option', function() {
+        var list = getAsArray(fb, {versionField: 'version'});
+        fb.flush();
+        return expectRejected(list.$commit([{op: 'update', key: 'b', value: {age: 31}}]), function(err) {
+          expect(err.message).to.match(/versionField/);
+          expect(fb.update.callCount).equals(0);
+          var write = list.$commit([{op: 'move', key: 'a', value: 10}, {op: 'remove', key: 'd'}]);
+          fb.flush();
+          return write;
+        }).then(function() {
+          expect(fb.getData().d).equals(undefined);
+        });
+      });
+
+      it('should make all of the writes with one update', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$commit([
+          {op: 'set', key: 'a', value: {name: 'alicia'}},
+          {op: 'update', key: 'b', value: {age: 31}},
+          {op: 'remove', key: 'c'},
+          {op: 'move', key: 'd', value: 0}
+        ]);
+        fb.flush();
+        return write.then(function(res) {
+          expect(res).eqls({keys: ['a', 'b', 'c', 'd']});
+          expect(fb.update).calledOnce;
+          expect(fb.getData()).eqls({a: {name: 'alicia'}, b: {name: 'bob', age: 31}, d: 'dave'});
+          expect(fb.child('a').priority).equals(1);
+          expect(_.pluck(list, '$id')).eqls(['d', 'a', 'b']);
+          expect(_.pluck(list, '$priority')).eqls([0, 1, 2]);
+        });
+      });
+
+      it('should collect the operations made in $batch', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$batch(function(batch) {
+          batch.move('a', 10).move('b', 5).set('e', 'eve');
+        });
+        fb.flush();
+        return write.then(function(res) {
+          expect(res).eqls({keys: ['a', 'b', 'e']});
+          expect(fb.update).calledOnce;
+          expect(_.pluck(list, '$id')).eqls(['e', 'c', 'd', 'b', 'a']);
+        });
+      });
+
+      it('should not write anything if an operation is invalid', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return expectRejected(list.$commit([
+          {op: 'set', key: 'a', value: {name: 'alicia'}},
+          {op: 'update', key: 'b', value: {'bad.key': 1}}
+        ]), function(err) {
+          expect(err).instanceof(_getAsArray.ValidationError);
+          expect(fb.update).not.called;
+          expect(list.$pendingWrites()).eqls([]);
+        });
+      });
+
+      it('should reject unknown operations and keys written twice', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        return expectRejected(list.$commit([{op: 'push', key: 'a', value: 1}]), function(err) {
+          expect(err.message).to.contain('push');
+          return expectRejected(list.$commit([{op: 'remove', key: 'a'}, {op: 'move', key: 'a', value: 3}]),
+            function(err) {
+              expect(err.message).to.contain('more than once');
+              expect(fb.update).not.called;
+            });
+        });
+      });
+
+      it('should reject as a unit when the server fails', function() {
+        var err = new Error('denied');
+        var list = getAsArray(fb, {optimistic: true});
+        fb.flush();
+
+        fb.failNext('update', err);
+        var write = list.$commit([{op: 'set', key: 'a', value: {name: 'alicia'}}, {op: 'remove', key: 'b'}]);
+        expect(list[0].name).equals('alicia');
+        expect(list.$indexOf('b')).equals(-1);
+        fb.flush();
+        return expectRejected(write, function(e) {
+          expect(e).equals(err);
+          expect(list[0]).eqls({$id: 'a', $priority: 1, name: 'alice', $error: err});
+          expect(list.$indexOf('b')).equals(1);
+        });
+      });
+
+      it('should be undone as one step', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+
+        var write = list.$commit([{op: 'remove', key: 'a'}, {op: 'update', key: 'b', value: {age: null}}]);
+        fb.flush();
+        return write.then(function() {
+          var undo = list.$undo();
+          fb.flush();
+          return undo;
+        }).then(function() {
+          expect(fb.getData().a).eqls({name: 'alice'});
+          expect(fb.getData().b).eqls({name: 'bob', age: 30});
+          expect(list.$canUndo()).is.false;
+        });
+      });
+    });
+
+    describe('history', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('History://', {a: {name: 'alice', age: 20}, b: {name: 'bob'}, c: 'carol'});
+        fb.child('c').setPriority(5);
+        fb.flush();
+      });
+
+      // makes a write (or undo) and waits for the server to acknowledge it
+      function flushed(promise) {
+        fb.flush();
+        return promise;
+      }
+
+      it('should not record writes unless enabled', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        return flushed(list.$set('a', {name: 'al'})).then(function() {
+          expect(list.$canUndo()).is.false;
+          return list.$undo();
+        }).then(function(res) {
+          expect(res).eqls({skipped: []});
+        });
+      });
+
+      describe('with failed writes', function() {
+        beforeEach(function() {
+          sinon.stub(console, 'error');
+        });
+
+        afterEach(function() {
+          console.error.restore();
+        });
+
+        it('should not record writes which fail', function() {
+          var list = getAsArray(fb, {history: true});
+          fb.flush();
+          fb.child('a').failNext('set', new Error('PERMISSION_DENIED'));
+          return flushed(list.$set('a', {name: 'al'})).then(function() {
+            throw new Error('should not resolve');
+          }, function() {
+            expect(list.$canUndo()).is.false;
+            return list.$update('b', true);
+          }).then(function() {
+            throw new Error('should not resolve');
+          }, function() {
+            expect(list.$canUndo()).is.false;
+          });
+        });
+
+        it('should keep the writes of a group which succeed', function() {
+          var list = getAsArray(fb, {history: true});
+          fb.flush();
+          fb.child('b').failNext('set', new Error('PERMISSION_DENIED'));
+          var writes = list.$group(function() {
+            return [list.$set('a', {name: 'al'}), list.$set('b', {name: 'robert'})];
+          });
+          fb.flush();
+          return Promise.all(writes).then(function() {
+            throw new Error('should not resolve');
+          }, function() {
+            return writes[0];
+          }).then(function() {
+            expect(list.$canUndo()).is.true;
+            return flushed(list.$undo());
+          }).then(function(res) {
+            expect(res).eqls({skipped: []});
+            expect(fb.getData().a).eqls({name: 'alice', age: 20});
+            expect(list.$canUndo()).is.false;
+          });
+        });
+      });
+
+      it('should undo and redo $set', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+        expect(list.$canUndo()).is.false;
+
+        return flushed(list.$set('a', {name: 'al'})).then(function() {
+          expect(list.$canUndo()).is.true;
+          return flushed(list.$undo());
+        }).then(function(res) {
+          expect(res).eqls({skipped: []});
+          expect(fb.getData().a).eqls({name: 'alice', age: 20});
+          expect(list.$canUndo()).is.false;
+          expect(list.$canRedo()).is.true;
+          return flushed(list.$redo());
+        }).then(function() {
+          expect(fb.getData().a).eqls({name: 'al'});
+          expect(list.$canRedo()).is.false;
+          expect(list.$canUndo()).is.true;
+        });
+      });
+
+      it('should undo $add and $remove', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+        var key;
+
+        return flushed(list.$add({name: 'dave'})).then(function(ref) {
+          key = keyOf(ref);
+          return flushed(list.$remove('c'));
+        }).then(function() {
+          return flushed(list.$undo());
+        }).then(function() {
+          expect(fb.getData().c).equals('carol');
+          expect(fb.child('c').priority).equals(5);
+          expect(list[list.$indexOf('c')].$priority).equals(5);
+          return flushed(list.$undo());
+        }).then(function() {
+          expect(list.$indexOf(key)).equals(-1);
+          expect(fb.getData()[key]).is.undefined;
+        });
+      });
+
+      it('should undo $update, including the fields it removed', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+
+        return flushed(list.$update('a', {name: 'al', age: null})).then(function() {
+          expect(fb.getData().a).eqls({name: 'al'});
+          return flushed(list.$undo());
+        }).then(function(res) {
+          expect(res.skipped).eqls([]);
+          expect(fb.getData().a).eqls({name: 'alice', age: 20});
+        });
+      });
+
+      it('should undo moves with only a priority change', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['a', 'b', 'c']);
+
+        return flushed(list.$move('a', 10)).then(function() {
+          expect(_.pluck(list, '$id')).eqls(['b', 'c', 'a']);
+          return flushed(list.$undo());
+        }).then(function() {
+          expect(_.pluck(list, '$id')).eqls(['a', 'b', 'c']);
+          expect(fb.child('a').set).not.called;
+        });
+      });
+
+      it('should undo a group of writes in one step', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+
+        return flushed(list.$group(function() {
+          list.$set('a', {name: 'al'});
+          list.$set('a', {name: 'alf'});
+          return list.$remove('b');
+        })).then(function() {
+          expect(fb.getData().a).eqls({name: 'alf'});
+          return flushed(list.$undo());
+        }).then(function() {
+          expect(fb.getData().a).eqls({name: 'alice', age: 20});
+          expect(fb.getData().b).eqls({name: 'bob'});
+          expect(list.$canUndo()).is.false;
+        });
+      });
+
+      it('should keep a limited number of steps', function() {
+        var list = getAsArray(fb, {history: 2});
+        fb.flush();
+
+        list.$set('a', {name: 'a1'});
+        list.$set('a', {name: 'a2'});
+        list.$set('a', {name: 'a3'});
+        fb.flush();
+        return flushed(list.$undo()).then(function() {
+          return flushed(list.$undo());
+        }).then(function() {
+          expect(fb.getData().a).eqls({name: 'a1'});
+          expect(list.$canUndo()).is.false;
+        });
+      });
+
+      it('should clear the redo steps when a write is made', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+
+        return flushed(list.$set('a', {name: 'al'})).then(function() {
+          return flushed(list.$undo());
+        }).then(function() {
+          expect(list.$canRedo()).is.true;
+          return flushed(list.$set('b', {name: 'bobby'}));
+        }).then(function() {
+          expect(list.$canRedo()).is.false;
+        });
+      });
+
+      it('should skip records which were changed remotely', function() {
+        var list = getAsArray(fb, {history: true});
+        fb.flush();
+
+        return flushed(list.$group(function() {
+          list.$set('a', {name: 'al'});
+          return list.$set('b', {name: 'bobby'});
+        })).then(function() {
+          fb.child('a').set({name: 'alison'});
+          fb.flush();
+          return flushed(list.$undo());
+        }).then(function(res) {
+          expect(res).eqls({skipped: ['a']});
+          expect(fb.getData().a).eqls({name: 'alison'});
+          expect(fb.getData().b).eqls({name: 'bob'});
+          return flushed(list.$redo());
+        }).then(function(res) {
+          expect(res).eqls({skipped: []});
+          expect(fb.getData().a).eqls({name: 'alison'});
+          expect(fb.getData().b).eqls({name: 'bobby'});
+        });
+      });
+    });
+
+    describe('priorities', function() {
+      var fb;
+
+      beforeEach(function() {
+        fb = new Firebase('Priorities://', {a: {name: 'alice'}, b: {name: 'bob'}, c: 'carol'});
+        fb.child('a').setPriority(10);
+        fb.child('c').setPriority(20);
+        fb.flush();
+      });
+
+      it('should expose the priority of each record', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(_.pluck(list, '$id')).eqls(['b', 'a', 'c']);
+        expect(_.pluck(list, '$priority')).eqls([null, 10, 20]);
+      });
+
+      it('should update $priority when the server moves a record', function() {
+        var spy = sinon.spy();
+        var list = getAsArray(fb);
+        fb.flush();
+
+        list.$on('child_moved', spy);
+        fb.child('b').setPriority(30);
+        fb.flush();
+        expect(spy).calledWith('b');
+        expect(list[2]).eqls({$id: 'b', $priority: 30, name: 'bob'});
+      });
+
+      it('should update $priority when the server changes a record', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        fb.child('a').set({name: 'alicia', '.priority': 15});
+        fb.flush();
+        expect(list[list.$indexOf('a')]).eqls({$id: 'a', $priority: 15, name: 'alicia'});
+      });
+
+      it('should keep the priority in $set', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$set('a', {name: 'alicia'});
+        fb.flush();
+        return write.then(function() {
+          expect(fb.child('a').priority).equals(10);
+          expect(_.pluck(list, '$id')).eqls(['b', 'a', 'c']);
+        });
+      });
+
+      it('should accept a priority in $set', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$set('c', 'carla', 5);
+        fb.flush();
+        return write.then(function() {
+          expect(fb.getData().c).equals('carla');
+          expect(fb.child('c').priority).equals(5);
+          expect(_.pluck(list, '$id')).eqls(['b', 'c', 'a']);
+          expect(list[1]).eqls({$id: 'c', $priority: 5, '.value': 'carla'});
+        });
+      });
+
+      it('should accept a priority in $add', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$add({name: 'dave'}, 1);
+        fb.flush();
+        return write.then(function(ref) {
+          expect(fb.child(keyOf(ref)).priority).equals(1);
+          expect(list[1].$priority).equals(1);
+        });
+      });
+
+      it('should include the priority in $rawData', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+        expect(list.$rawData('a')).eqls({name: 'alice', '.priority': 10});
+        expect(list.$rawData('b')).eqls({name: 'bob'});
+        expect(list.$rawData('c')).eqls({'.value': 'carol', '.priority': 20});
+      });
+
+      it('should keep the priority when $rawData is written back', function() {
+        var list = getAsArray(fb);
+        fb.flush();
+
+        var write = list.$set('c', list.$rawData('c'));
+        fb.flush();
+        return write.then(function() {
+          expect(fb.getData().c).equals('carol');
+          expect(fb.child('c').priority).equals(20);
+        });
+      });
+    });
+  });
+});
+
+describe('getAsArray adapters', function() {
+  var fb;
+
+  beforeEach(function() {
+    fb = new Firebase().child('data');
+  });
+
+  it('should require the sdk option for modular refs', function() {
+    var ref = MockSdks.shapes.modular(fb).ref;
+    expect(function() {
+      _getAsArray(ref);
+    }).to.throw(/sdk/);
+  });
+
+  it('should throw for an unknown adapter', function() {
+    expect(function() {
+      _getAsArray(fb, {adapter: 'notanadapter'});
+    }).to.throw(Error);
+  });
+
+  it('should select an adapter by name', function() {
+    var wrapped = MockSdks.shapes.namespaced(fb);
+    var list = _getAsArray(wrapped.ref, {adapter: 'namespaced'});
+    fb.flush();
+    expect(list.$indexOf('a')).equals(0);
+  });
+
+  it('should accept a custom adapter', function() {
+    var adapter = {
+      key: function(snap) { return snap.name(); },
+      refOf: function(ref) { return ref; },
+      on: sinon.spy(function(query, event, fn) { return query.on(event, fn); }),
+      off: function(query, event, fn) { query.off(event, fn); }
+    };
+    var list = _getAsArray(fb, {adapter: adapter});
+    fb.flush();
+    expect(adapter.on).calledWith(fb, 'child_added');
+    expect(list.$indexOf('a')).equals(0);
+  });
+
+  it('should unsubscribe modular listeners on $off', function() {
+    var wrapped = MockSdks.shapes.modular(fb);
+    var list = _getAsArray(wrapped.ref, wrapped.opts);
+    fb.flush();
+    var len = list.length;
+
+    list.$off();
+    fb.push({foo: 'bar'});
+    fb.flush();
+    expect(list.length).equals(len);
   });
-});
\ No newline at end of file
+});